@@ -0,0 +1,312 @@
+/**
+ * Frame Capture
+ * Steps a simulation offline at a fixed time step and saves the frames as a
+ * PNG sequence (zip), an animated GIF or a WebM video. Pages supply
+ * advance(dt), which must step their simulation and render synchronously.
+ */
+
+const CAPTURE_FORMATS = {
+    png: { extension: 'zip', label: 'PNG sequence' },
+    gif: { extension: 'gif', label: 'GIF' },
+    webm: { extension: 'webm', label: 'WebM' }
+};
+
+// GIFs are downscaled to this width to keep the files shareable
+const GIF_MAX_WIDTH = 480;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Uncompressed zip of [{ name, data: Uint8Array }]; PNGs are compressed already
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, file.data.length, true);
+        local.setUint32(22, file.data.length, true);
+        local.setUint16(26, name.length, true);
+        parts.push(new Uint8Array(local.buffer), name, file.data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, file.data.length, true);
+        central.setUint32(24, file.data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        directory.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + file.data.length;
+    }
+
+    const directorySize = directory.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return concatBytes([...parts, ...directory, new Uint8Array(end.buffer)]);
+}
+
+function concatBytes(parts) {
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
+
+// Fixed 6×7×6 colour cube, so every frame shares one palette
+function getGifPalette() {
+    const palette = new Uint8Array(256 * 3);
+    for (let r = 0; r < 6; r++) {
+        for (let g = 0; g < 7; g++) {
+            for (let b = 0; b < 6; b++) {
+                const n = (r * 42 + g * 6 + b) * 3;
+                palette[n] = Math.round(r * 255 / 5);
+                palette[n + 1] = Math.round(g * 255 / 6);
+                palette[n + 2] = Math.round(b * 255 / 5);
+            }
+        }
+    }
+    return palette;
+}
+
+function quantizeGifFrame(rgba) {
+    const indices = new Uint8Array(rgba.length / 4);
+    for (let i = 0; i < indices.length; i++) {
+        const r = Math.round(rgba[i * 4] * 5 / 255);
+        const g = Math.round(rgba[i * 4 + 1] * 6 / 255);
+        const b = Math.round(rgba[i * 4 + 2] * 5 / 255);
+        indices[i] = r * 42 + g * 6 + b;
+    }
+    return indices;
+}
+
+// Variable-width LZW over 8-bit palette indices, as GIF image data expects
+function lzwEncode(indices) {
+    const minCodeSize = 8;
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const out = [];
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let dictionary = new Map();
+    let bits = 0;
+    let bitCount = 0;
+
+    const emit = (code) => {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            out.push(bits & 0xff);
+            bits >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const key = prefix * 256 + indices[i];
+        const code = dictionary.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        emit(prefix);
+        if (nextCode < 4096) {
+            dictionary.set(key, nextCode++);
+            if (nextCode > (1 << codeSize) && codeSize < 12) codeSize++;
+        } else {
+            emit(clearCode);
+            dictionary = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        }
+        prefix = indices[i];
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) out.push(bits & 0xff);
+    return out;
+}
+
+// Animated, looping GIF from RGBA frames; delay is in hundredths of a second
+function encodeGif(frames, width, height, delay) {
+    const bytes = [];
+    const word = (value) => bytes.push(value & 0xff, (value >> 8) & 0xff);
+    const text = (value) => { for (const c of value) bytes.push(c.charCodeAt(0)); };
+
+    text('GIF89a');
+    word(width);
+    word(height);
+    bytes.push(0xf7, 0, 0);
+    bytes.push(...getGifPalette());
+    // Loop forever (NETSCAPE2.0 application extension)
+    bytes.push(0x21, 0xff, 0x0b);
+    text('NETSCAPE2.0');
+    bytes.push(0x03, 0x01, 0, 0, 0);
+
+    for (const frame of frames) {
+        bytes.push(0x21, 0xf9, 0x04, 0);
+        word(delay);
+        bytes.push(0, 0);
+        bytes.push(0x2c);
+        word(0);
+        word(0);
+        word(width);
+        word(height);
+        bytes.push(0, 8);
+        const data = lzwEncode(quantizeGifFrame(frame));
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.slice(i, i + 255);
+            bytes.push(block.length, ...block);
+        }
+        bytes.push(0);
+    }
+    bytes.push(0x3b);
+    return new Uint8Array(bytes);
+}
+
+// Play pre-rendered frames onto a canvas at fps while MediaRecorder films it,
+// so the video is smooth however slowly the frames were produced
+async function encodeWebm(bitmaps, width, height, fps) {
+    const type = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find(t => typeof MediaRecorder !== 'undefined' && MediaRecorder.isTypeSupported(t));
+    if (!type) throw new Error('This browser cannot record WebM video');
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    const stream = canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const recorder = new MediaRecorder(stream, { mimeType: type });
+    const chunks = [];
+    recorder.ondataavailable = (e) => chunks.push(e.data);
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+    recorder.start();
+    for (const bitmap of bitmaps) {
+        ctx.drawImage(bitmap, 0, 0);
+        track.requestFrame();
+        await new Promise(resolve => setTimeout(resolve, 1000 / fps));
+    }
+    recorder.stop();
+    await stopped;
+    return new Blob(chunks, { type: 'video/webm' });
+}
+
+function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// Step and grab `frames` frames of canvas, dt seconds of simulation apart,
+// and encode them as format ('png', 'gif' or 'webm'). Frames are copied to a
+// 2D canvas right after advance() renders, so WebGL canvases need no
+// preserveDrawingBuffer.
+async function captureFrames(canvas, { frames, dt, format, advance, onProgress }) {
+    if (!CAPTURE_FORMATS[format]) throw new Error(`Unknown capture format: ${format}`);
+    const scale = format === 'gif' ? Math.min(1, GIF_MAX_WIDTH / canvas.width) : 1;
+    const width = Math.round(canvas.width * scale);
+    const height = Math.round(canvas.height * scale);
+    const copy = document.createElement('canvas');
+    copy.width = width;
+    copy.height = height;
+    const ctx = copy.getContext('2d', { willReadFrequently: format === 'gif' });
+    const fps = Math.round(1 / dt);
+    const collected = [];
+
+    for (let i = 0; i < frames; i++) {
+        advance(dt);
+        ctx.drawImage(canvas, 0, 0, width, height);
+
+        if (format === 'png') {
+            const blob = await new Promise(resolve => copy.toBlob(resolve, 'image/png'));
+            collected.push({
+                name: `frame_${String(i).padStart(4, '0')}.png`,
+                data: new Uint8Array(await blob.arrayBuffer())
+            });
+        } else if (format === 'gif') {
+            collected.push(ctx.getImageData(0, 0, width, height).data);
+        } else {
+            collected.push(await createImageBitmap(copy));
+        }
+
+        if (onProgress) onProgress(i + 1, frames);
+        // Yield so the page stays responsive during long captures
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    if (format === 'png') return new Blob([createZip(collected)], { type: 'application/zip' });
+    if (format === 'gif') {
+        const delay = Math.max(2, Math.round(100 / fps));
+        return new Blob([encodeGif(collected, width, height, delay)], { type: 'image/gif' });
+    }
+    return encodeWebm(collected, width, height, fps);
+}
+
+// Run a capture from the standard control block: #<prefix>-capture-format,
+// #<prefix>-capture-frames, #<prefix>-capture-button and #<prefix>-capture-status
+async function runCapture(prefix, canvas, dt, advance) {
+    const button = document.getElementById(`${prefix}-capture-button`);
+    const status = document.getElementById(`${prefix}-capture-status`);
+    const format = document.getElementById(`${prefix}-capture-format`).value;
+    const frames = Math.max(1, parseInt(document.getElementById(`${prefix}-capture-frames`).value) || 1);
+
+    button.disabled = true;
+    try {
+        const blob = await captureFrames(canvas, {
+            frames, dt, format, advance,
+            onProgress: (done, total) => {
+                status.textContent = done === total && format === 'webm'
+                    ? 'Encoding video…'
+                    : `Frame ${done} / ${total}`;
+            }
+        });
+        downloadBlob(blob, `${prefix}-capture.${CAPTURE_FORMATS[format].extension}`);
+        status.textContent = `Saved ${frames} frames as ${CAPTURE_FORMATS[format].label}`;
+    } catch (err) {
+        status.textContent = `Capture failed: ${err.message}`;
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// Allow headless use of the encoders from Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createZip, encodeGif, lzwEncode, crc32 };
+}
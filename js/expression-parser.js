@@ -0,0 +1,458 @@
+/**
+ * Expression Parser
+ * Safe parsing and evaluation of user-typed math expressions (no eval)
+ */
+
+// Functions that may be called from an expression, with their argument counts
+const EXPRESSION_FUNCTIONS = {
+    sin:   { arity: 1, fn: Math.sin },
+    cos:   { arity: 1, fn: Math.cos },
+    tan:   { arity: 1, fn: Math.tan },
+    asin:  { arity: 1, fn: Math.asin },
+    acos:  { arity: 1, fn: Math.acos },
+    atan:  { arity: 1, fn: Math.atan },
+    atan2: { arity: 2, fn: Math.atan2 },
+    sinh:  { arity: 1, fn: Math.sinh },
+    cosh:  { arity: 1, fn: Math.cosh },
+    tanh:  { arity: 1, fn: Math.tanh },
+    exp:   { arity: 1, fn: Math.exp },
+    log:   { arity: 1, fn: Math.log },
+    sqrt:  { arity: 1, fn: Math.sqrt },
+    abs:   { arity: 1, fn: Math.abs },
+    sign:  { arity: 1, fn: Math.sign },
+    floor: { arity: 1, fn: Math.floor },
+    ceil:  { arity: 1, fn: Math.ceil },
+    min:   { arity: 2, fn: Math.min },
+    max:   { arity: 2, fn: Math.max },
+    pow:   { arity: 2, fn: Math.pow }
+};
+
+const EXPRESSION_CONSTANTS = {
+    pi: Math.PI,
+    e: Math.E
+};
+
+function tokenizeExpression(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const ch = source[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        // Numbers: 12, 3.5, .5, 1e-3
+        const numberMatch = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i));
+        if (numberMatch) {
+            tokens.push({ type: 'number', value: parseFloat(numberMatch[0]), pos: i });
+            i += numberMatch[0].length;
+            continue;
+        }
+
+        // Names: variables, constants and functions
+        const nameMatch = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+        if (nameMatch) {
+            tokens.push({ type: 'name', value: nameMatch[0], pos: i });
+            i += nameMatch[0].length;
+            continue;
+        }
+
+        // Treat ** as a synonym for ^
+        if (ch === '*' && source[i + 1] === '*') {
+            tokens.push({ type: 'op', value: '^', pos: i });
+            i += 2;
+            continue;
+        }
+
+        if ('+-*/^'.includes(ch)) {
+            tokens.push({ type: 'op', value: ch, pos: i });
+        } else if (ch === '(' || ch === ')' || ch === ',') {
+            tokens.push({ type: ch, value: ch, pos: i });
+        } else {
+            throw new Error(`Unexpected character '${ch}' at position ${i + 1}`);
+        }
+        i++;
+    }
+
+    tokens.push({ type: 'end', value: '', pos: source.length });
+    return tokens;
+}
+
+// Recursive-descent parser producing a small AST:
+//   { type: 'number', value }            { type: 'variable', name }
+//   { type: 'unary', op, arg }           { type: 'binary', op, left, right }
+//   { type: 'call', name, args }
+function parseExpression(source, variables) {
+    const tokens = tokenizeExpression(source);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+
+    const expect = (type) => {
+        const token = next();
+        if (token.type !== type) {
+            throw new Error(`Expected '${type}' at position ${token.pos + 1}`);
+        }
+        return token;
+    };
+
+    // expr := term (('+' | '-') term)*
+    const parseSum = () => {
+        let node = parseProduct();
+        while (peek().type === 'op' && (peek().value === '+' || peek().value === '-')) {
+            const op = next().value;
+            node = { type: 'binary', op, left: node, right: parseProduct() };
+        }
+        return node;
+    };
+
+    // term := unary (('*' | '/') unary)*
+    const parseProduct = () => {
+        let node = parseUnary();
+        while (peek().type === 'op' && (peek().value === '*' || peek().value === '/')) {
+            const op = next().value;
+            node = { type: 'binary', op, left: node, right: parseUnary() };
+        }
+        return node;
+    };
+
+    // unary := ('-' | '+') unary | power
+    const parseUnary = () => {
+        if (peek().type === 'op' && (peek().value === '-' || peek().value === '+')) {
+            const op = next().value;
+            const arg = parseUnary();
+            return op === '-' ? { type: 'unary', op, arg } : arg;
+        }
+        return parsePower();
+    };
+
+    // power := primary ('^' unary)?   (right associative, so -x^2 = -(x^2))
+    const parsePower = () => {
+        const base = parsePrimary();
+        if (peek().type === 'op' && peek().value === '^') {
+            next();
+            return { type: 'binary', op: '^', left: base, right: parseUnary() };
+        }
+        return base;
+    };
+
+    const parsePrimary = () => {
+        const token = next();
+
+        if (token.type === 'number') {
+            return { type: 'number', value: token.value };
+        }
+
+        if (token.type === '(') {
+            const node = parseSum();
+            expect(')');
+            return node;
+        }
+
+        if (token.type === 'name') {
+            const name = token.value;
+
+            if (peek().type === '(') {
+                const def = EXPRESSION_FUNCTIONS[name];
+                if (!def) {
+                    throw new Error(`Unknown function '${name}'`);
+                }
+                next();
+                const args = [parseSum()];
+                while (peek().type === ',') {
+                    next();
+                    args.push(parseSum());
+                }
+                expect(')');
+                if (args.length !== def.arity) {
+                    throw new Error(`${name}() takes ${def.arity} argument${def.arity === 1 ? '' : 's'}`);
+                }
+                return { type: 'call', name, args };
+            }
+
+            if (variables.includes(name)) {
+                return { type: 'variable', name };
+            }
+            if (name in EXPRESSION_CONSTANTS) {
+                return { type: 'number', value: EXPRESSION_CONSTANTS[name] };
+            }
+            throw new Error(`Unknown variable '${name}' (use ${variables.join(', ')})`);
+        }
+
+        if (token.type === 'end') {
+            throw new Error('Unexpected end of expression');
+        }
+        throw new Error(`Unexpected '${token.value}' at position ${token.pos + 1}`);
+    };
+
+    if (peek().type === 'end') {
+        throw new Error('Expression is empty');
+    }
+
+    const ast = parseSum();
+    if (peek().type !== 'end') {
+        throw new Error(`Unexpected '${peek().value}' at position ${peek().pos + 1}`);
+    }
+    return ast;
+}
+
+function evaluateExpression(node, scope) {
+    switch (node.type) {
+        case 'number':
+            return node.value;
+        case 'variable':
+            return scope[node.name];
+        case 'unary':
+            return -evaluateExpression(node.arg, scope);
+        case 'binary': {
+            const a = evaluateExpression(node.left, scope);
+            const b = evaluateExpression(node.right, scope);
+            switch (node.op) {
+                case '+': return a + b;
+                case '-': return a - b;
+                case '*': return a * b;
+                case '/': return a / b;
+                case '^': return Math.pow(a, b);
+            }
+            break;
+        }
+        case 'call': {
+            const args = node.args.map(arg => evaluateExpression(arg, scope));
+            return EXPRESSION_FUNCTIONS[node.name].fn(...args);
+        }
+    }
+    return NaN;
+}
+
+// Parse once and return a function of a scope object, e.g. fn({ x: 1, y: 2 })
+// Throws an Error with a readable message if the source is invalid
+function compileExpression(source, variables) {
+    const ast = parseExpression(source, variables);
+    const fn = (scope) => evaluateExpression(ast, scope);
+    fn.ast = ast;
+    fn.source = source;
+    return fn;
+}
+
+function dependsOn(node, variable) {
+    switch (node.type) {
+        case 'variable':
+            return node.name === variable;
+        case 'unary':
+            return dependsOn(node.arg, variable);
+        case 'binary':
+            return dependsOn(node.left, variable) || dependsOn(node.right, variable);
+        case 'call':
+            return node.args.some(arg => dependsOn(arg, variable));
+    }
+    return false;
+}
+
+// Symbolic derivative of an AST with respect to one variable, returned as a
+// simplified AST. Throws an Error for functions with no usable derivative
+// (floor, ceil, sign, min, max) so callers can fall back to finite differences.
+function differentiateExpression(node, variable) {
+    const num = (value) => ({ type: 'number', value });
+    const neg = (arg) => ({ type: 'unary', op: '-', arg });
+    const bin = (op, left, right) => ({ type: 'binary', op, left, right });
+    const call = (name, ...args) => ({ type: 'call', name, args });
+
+    const d = (n) => {
+        if (!dependsOn(n, variable)) return num(0);
+
+        switch (n.type) {
+            case 'variable':
+                return num(1);
+
+            case 'unary':
+                return neg(d(n.arg));
+
+            case 'binary': {
+                const { op, left: f, right: g } = n;
+                if (op === '+' || op === '-') {
+                    return bin(op, d(f), d(g));
+                }
+                if (op === '*') {
+                    return bin('+', bin('*', d(f), g), bin('*', f, d(g)));
+                }
+                if (op === '/') {
+                    if (!dependsOn(g, variable)) return bin('/', d(f), g);
+                    return bin('/', bin('-', bin('*', d(f), g), bin('*', f, d(g))), bin('^', g, num(2)));
+                }
+                return powerDerivative(f, g);
+            }
+
+            case 'call':
+                return callDerivative(n);
+        }
+        return num(0);
+    };
+
+    // (f^g)' in the simplest form that applies
+    const powerDerivative = (f, g) => {
+        if (!dependsOn(g, variable)) {
+            return bin('*', bin('*', g, bin('^', f, bin('-', g, num(1)))), d(f));
+        }
+        if (!dependsOn(f, variable)) {
+            return bin('*', bin('*', bin('^', f, g), call('log', f)), d(g));
+        }
+        return bin('*', bin('^', f, g),
+            bin('+', bin('*', d(g), call('log', f)), bin('/', bin('*', g, d(f)), f)));
+    };
+
+    const callDerivative = (n) => {
+        const [u, w] = n.args;
+        // Chain rule: outer'(u) * u'
+        const chain = (outer) => bin('*', outer, d(u));
+
+        switch (n.name) {
+            case 'sin':   return chain(call('cos', u));
+            case 'cos':   return chain(neg(call('sin', u)));
+            case 'tan':   return bin('/', d(u), bin('^', call('cos', u), num(2)));
+            case 'asin':  return bin('/', d(u), call('sqrt', bin('-', num(1), bin('^', u, num(2)))));
+            case 'acos':  return neg(bin('/', d(u), call('sqrt', bin('-', num(1), bin('^', u, num(2))))));
+            case 'atan':  return bin('/', d(u), bin('+', num(1), bin('^', u, num(2))));
+            case 'sinh':  return chain(call('cosh', u));
+            case 'cosh':  return chain(call('sinh', u));
+            case 'tanh':  return bin('/', d(u), bin('^', call('cosh', u), num(2)));
+            case 'exp':   return chain(call('exp', u));
+            case 'log':   return bin('/', d(u), u);
+            case 'sqrt':  return bin('/', d(u), bin('*', num(2), call('sqrt', u)));
+            case 'abs':   return chain(call('sign', u));
+            case 'pow':   return powerDerivative(u, w);
+            case 'atan2':
+                // atan2(u, w): (w u' - u w') / (u^2 + w^2)
+                return bin('/', bin('-', bin('*', w, d(u)), bin('*', u, d(w))),
+                    bin('+', bin('^', u, num(2)), bin('^', w, num(2))));
+        }
+        throw new Error(`Cannot differentiate ${n.name}()`);
+    };
+
+    return simplifyExpression(d(node));
+}
+
+// Constant folding and the identities 0 + a, 1 * a, a ^ 1, a - a, --a, ...
+// so derivatives and curls read the way they would be written by hand
+function simplifyExpression(node) {
+    const isNumber = (n, value) => n.type === 'number' && (value === undefined || n.value === value);
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const negate = (n) => {
+        if (isNumber(n)) return { type: 'number', value: -n.value };
+        if (n.type === 'unary') return n.arg;
+        return { type: 'unary', op: '-', arg: n };
+    };
+
+    switch (node.type) {
+        case 'unary':
+            return negate(simplifyExpression(node.arg));
+
+        case 'binary': {
+            const left = simplifyExpression(node.left);
+            const right = simplifyExpression(node.right);
+            const folded = { type: 'binary', op: node.op, left, right };
+
+            if (isNumber(left) && isNumber(right)) {
+                const value = evaluateExpression(folded, {});
+                if (isFinite(value)) return { type: 'number', value };
+            }
+
+            switch (node.op) {
+                case '+':
+                    if (isNumber(left, 0)) return right;
+                    if (isNumber(right, 0)) return left;
+                    if (right.type === 'unary') return simplifyExpression({ type: 'binary', op: '-', left, right: right.arg });
+                    if (isNumber(right) && right.value < 0) return { type: 'binary', op: '-', left, right: negate(right) };
+                    if (left.type === 'unary') return simplifyExpression({ type: 'binary', op: '-', left: right, right: left.arg });
+                    break;
+                case '-':
+                    if (isNumber(right, 0)) return left;
+                    if (isNumber(left, 0)) return negate(right);
+                    if (same(left, right)) return { type: 'number', value: 0 };
+                    if (right.type === 'unary') return simplifyExpression({ type: 'binary', op: '+', left, right: right.arg });
+                    break;
+                case '*':
+                    if (isNumber(left, 0) || isNumber(right, 0)) return { type: 'number', value: 0 };
+                    if (isNumber(left, 1)) return right;
+                    if (isNumber(right, 1)) return left;
+                    if (isNumber(left, -1)) return negate(right);
+                    if (isNumber(right, -1)) return negate(left);
+                    // Keep constants in front and signs outside: 2*x, -(a*b)
+                    if (isNumber(right) && !isNumber(left)) return simplifyExpression({ type: 'binary', op: '*', left: right, right: left });
+                    if (left.type === 'unary' || (isNumber(left) && left.value < 0)) {
+                        return negate(simplifyExpression({ type: 'binary', op: '*', left: negate(left), right }));
+                    }
+                    if (right.type === 'unary') {
+                        return negate(simplifyExpression({ type: 'binary', op: '*', left, right: right.arg }));
+                    }
+                    break;
+                case '/':
+                    if (isNumber(left, 0)) return { type: 'number', value: 0 };
+                    if (isNumber(right, 1)) return left;
+                    if (same(left, right)) return { type: 'number', value: 1 };
+                    if (left.type === 'unary') return negate({ type: 'binary', op: '/', left: left.arg, right });
+                    break;
+                case '^':
+                    if (isNumber(right, 0) || isNumber(left, 1)) return { type: 'number', value: 1 };
+                    if (isNumber(right, 1)) return left;
+                    break;
+            }
+            return folded;
+        }
+
+        case 'call': {
+            const args = node.args.map(simplifyExpression);
+            const folded = { type: 'call', name: node.name, args };
+            // Only fold exact results such as cos(0), so log(2) stays readable
+            if (args.every(arg => isNumber(arg))) {
+                const value = evaluateExpression(folded, {});
+                if (Number.isInteger(value)) return { type: 'number', value };
+            }
+            return folded;
+        }
+    }
+    return node;
+}
+
+// Operator precedence used when printing an AST back to text
+const EXPRESSION_PRECEDENCE = { '+': 1, '-': 1, '*': 2, '/': 2, unary: 3, '^': 4 };
+
+// AST -> source text with only the parentheses it needs. Numbers are
+// rounded to 6 significant digits for display.
+function formatExpression(node) {
+    const precedence = (n) => {
+        if (n.type === 'binary') return EXPRESSION_PRECEDENCE[n.op];
+        if (n.type === 'unary' || (n.type === 'number' && n.value < 0)) return EXPRESSION_PRECEDENCE.unary;
+        return 5;
+    };
+    const wrap = (n, needsParens) => needsParens ? `(${formatExpression(n)})` : formatExpression(n);
+
+    switch (node.type) {
+        case 'number':
+            return String(parseFloat(node.value.toPrecision(6)));
+        case 'variable':
+            return node.name;
+        case 'unary':
+            return '-' + wrap(node.arg, precedence(node.arg) < EXPRESSION_PRECEDENCE.unary);
+        case 'call':
+            return `${node.name}(${node.args.map(formatExpression).join(', ')})`;
+        case 'binary': {
+            const p = EXPRESSION_PRECEDENCE[node.op];
+            const lp = precedence(node.left);
+            const rp = precedence(node.right);
+
+            if (node.op === '^') {
+                return `${wrap(node.left, lp <= p)}^${wrap(node.right, rp < EXPRESSION_PRECEDENCE.unary)}`;
+            }
+            // Signs on the right always get parentheses: a*(-b), not a*-b
+            const rightParens = rp === EXPRESSION_PRECEDENCE.unary ||
+                (node.op === '-' || node.op === '/' ? rp <= p : rp < p);
+            const space = p === 1 ? ' ' : '';
+            return `${wrap(node.left, lp < p)}${space}${node.op}${space}${wrap(node.right, rightParens)}`;
+        }
+    }
+    return '';
+}
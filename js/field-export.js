@@ -0,0 +1,171 @@
+/**
+ * Field Export
+ * Writes a fluid solver's fields as numbers for post-processing: CSV grids,
+ * NumPy arrays (.npz) or a VTK image (.vti) for ParaView. Values are in SI
+ * units (see getFieldScales); grids are row-major with row 0 at the bottom.
+ * Uses createZip from capture.js, and getFieldScales and sampleField from
+ * fluid-solver.js.
+ */
+
+const EXPORT_FORMATS = {
+    csv: { extension: 'zip', type: 'application/zip', label: 'CSV grids' },
+    npy: { extension: 'npz', type: 'application/zip', label: 'NumPy arrays' },
+    vtk: { extension: 'vti', type: 'application/xml', label: 'VTK image' }
+};
+
+// Globals from capture.js and fluid-solver.js in the page; required under Node
+const exportHelpers = typeof module !== 'undefined' && module.exports
+    ? { ...require('./capture.js'), ...require('./fluid-solver.js') }
+    : window;
+
+// Scalar grids read back from the solver: u, v (m/s), pressure p/ρ (m²/s²),
+// vorticity (1/s) and temperature (K) on the simulation grid, and dye r, g, b
+// on the dye grid.
+// dt is the time step the solver was run with.
+function collectFields(solver, dt) {
+    const scales = exportHelpers.getFieldScales(solver.params, dt);
+    const channel = (field, k, scale, offset = 0) => {
+        const out = new Float32Array(field.width * field.height);
+        for (let n = 0; n < out.length; n++) out[n] = field.data[n * 4 + k] * scale + offset;
+        return out;
+    };
+
+    const velocity = solver.readVelocity();
+    const pressure = solver.readPressure();
+    const curl = solver.readCurl();
+    const temperature = solver.readTemperature();
+    const dye = solver.readDye();
+    return {
+        width: velocity.width,
+        height: velocity.height,
+        spacing: solver.params.domainSize / solver.params.resolution,
+        grids: {
+            u: channel(velocity, 0, scales.velocity),
+            v: channel(velocity, 1, scales.velocity),
+            pressure: channel(pressure, 0, scales.pressure),
+            vorticity: channel(curl, 0, 1),
+            // The solver keeps the difference from the ambient temperature
+            temperature: channel(temperature, 0, 1, solver.params.ambientTemperature)
+        },
+        dye
+    };
+}
+
+function formatNumber(value) {
+    return String(+value.toPrecision(7));
+}
+
+function toCsvGrid(values, width, height) {
+    const rows = [];
+    for (let j = 0; j < height; j++) {
+        rows.push(Array.from(values.subarray(j * width, (j + 1) * width), formatNumber).join(','));
+    }
+    return rows.join('\n') + '\n';
+}
+
+// NumPy .npy (format 1.0) holding a little-endian float32 array
+function encodeNpy(values, shape) {
+    const dict = `{'descr': '<f4', 'fortran_order': False, 'shape': (${shape.join(', ')}${shape.length === 1 ? ',' : ''}), }`;
+    // Magic, version and header length take 10 bytes; pad the header so the
+    // data starts on a 64-byte boundary
+    const headerLength = Math.ceil((10 + dict.length + 1) / 64) * 64 - 10;
+    const header = dict.padEnd(headerLength - 1, ' ') + '\n';
+
+    const bytes = new Uint8Array(10 + headerLength + values.length * 4);
+    bytes.set([0x93, 0x4e, 0x55, 0x4d, 0x50, 0x59, 1, 0, headerLength & 0xff, headerLength >> 8]);
+    for (let i = 0; i < header.length; i++) bytes[10 + i] = header.charCodeAt(i);
+    const data = new DataView(bytes.buffer, 10 + headerLength);
+    for (let i = 0; i < values.length; i++) data.setFloat32(i * 4, values[i], true);
+    return bytes;
+}
+
+function exportCsv(fields) {
+    const encoder = new TextEncoder();
+    const files = Object.entries(fields.grids).map(([name, values]) => ({
+        name: `${name}.csv`,
+        data: encoder.encode(toCsvGrid(values, fields.width, fields.height))
+    }));
+    const { width, height, data } = fields.dye;
+    ['r', 'g', 'b'].forEach((c, k) => {
+        const values = new Float32Array(width * height);
+        for (let n = 0; n < values.length; n++) values[n] = data[n * 4 + k];
+        files.push({ name: `dye_${c}.csv`, data: encoder.encode(toCsvGrid(values, width, height)) });
+    });
+    return exportHelpers.createZip(files);
+}
+
+// An .npz is a zip of .npy files: np.load(path) gives u, v, pressure,
+// vorticity, temperature with shape (height, width) and dye with shape (height, width, 3)
+function exportNpz(fields) {
+    const files = Object.entries(fields.grids).map(([name, values]) => ({
+        name: `${name}.npy`,
+        data: encodeNpy(values, [fields.height, fields.width])
+    }));
+    const { width, height, data } = fields.dye;
+    const dye = new Float32Array(width * height * 3);
+    for (let n = 0; n < width * height; n++) {
+        dye[n * 3] = data[n * 4];
+        dye[n * 3 + 1] = data[n * 4 + 1];
+        dye[n * 3 + 2] = data[n * 4 + 2];
+    }
+    files.push({ name: 'dye.npy', data: encodeNpy(dye, [height, width, 3]) });
+    return exportHelpers.createZip(files);
+}
+
+// VTK XML image data with cell-centered points; the dye is resampled onto
+// the simulation grid so every array shares one set of points
+function exportVti(fields) {
+    const { width, height, spacing, grids } = fields;
+    const count = width * height;
+    const velocity = new Float32Array(count * 3);
+    const dye = new Float32Array(count * 3);
+    const texel = [0, 0, 0, 0];
+    for (let j = 0; j < height; j++) {
+        for (let i = 0; i < width; i++) {
+            const n = j * width + i;
+            velocity[n * 3] = grids.u[n];
+            velocity[n * 3 + 1] = grids.v[n];
+            exportHelpers.sampleField(fields.dye, (i + 0.5) / width, (j + 0.5) / height, texel);
+            dye.set(texel.slice(0, 3), n * 3);
+        }
+    }
+
+    const dataArray = (name, values, components) =>
+        `        <DataArray type="Float32" Name="${name}" NumberOfComponents="${components}" format="ascii">\n` +
+        `          ${Array.from(values, formatNumber).join(' ')}\n` +
+        '        </DataArray>';
+    const extent = `0 ${width - 1} 0 ${height - 1} 0 0`;
+    return [
+        '<?xml version="1.0"?>',
+        '<VTKFile type="ImageData" version="0.1" byte_order="LittleEndian">',
+        `  <ImageData WholeExtent="${extent}" Origin="${spacing / 2} ${spacing / 2} 0" Spacing="${spacing} ${spacing} ${spacing}">`,
+        `    <Piece Extent="${extent}">`,
+        '      <PointData Scalars="pressure" Vectors="velocity">',
+        dataArray('velocity', velocity, 3),
+        dataArray('pressure', grids.pressure, 1),
+        dataArray('vorticity', grids.vorticity, 1),
+        dataArray('temperature', grids.temperature, 1),
+        dataArray('dye', dye, 3),
+        '      </PointData>',
+        '    </Piece>',
+        '  </ImageData>',
+        '</VTKFile>',
+        ''
+    ].join('\n');
+}
+
+// The current solver state as a Blob in one of EXPORT_FORMATS
+function exportFields(solver, dt, format) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) throw new Error(`Unknown export format: ${format}`);
+    const fields = collectFields(solver, dt);
+    const content = format === 'csv' ? exportCsv(fields)
+        : format === 'npy' ? exportNpz(fields)
+        : exportVti(fields);
+    return new Blob([content], { type: spec.type });
+}
+
+// Allow headless use from Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { collectFields, encodeNpy, exportCsv, exportNpz, exportVti, exportFields };
+}
@@ -0,0 +1,219 @@
+/**
+ * Fluid Session Recording and Replay
+ * A session is a JSON log of everything that changes a fluid solver (splats,
+ * parameter changes, obstacle and heat source edits, clears, time step
+ * changes, grid resizes), keyed by step number so it replays identically
+ */
+
+// Version 2: grids follow aspectRatio, so obstacle masks are width × height
+const SESSION_VERSION = 2;
+
+// An empty obstacle mask for the solver's current grid
+function createSessionMask(solver) {
+    const { width, height } = solver.grid;
+    return { width, height, data: new Float32Array(width * height) };
+}
+
+// Changed mask cells as flat [index, value, index, value, ...] pairs
+function diffObstacleMask(previous, next) {
+    const changes = [];
+    for (let n = 0; n < next.length; n++) {
+        if (previous[n] !== next[n]) changes.push(n, next[n]);
+    }
+    return changes;
+}
+
+// Wrap a solver so every call that changes its state is logged into a
+// session. The wrapper stands in for the solver: reads, probes and drawing
+// fall through to it unchanged. dt is the expected time step and obstacles
+// the mask already in place.
+function createSessionRecorder(solver, options = {}) {
+    const dt = options.dt || 0.016;
+    let currentDt = dt;
+    let mask = options.obstacles ? options.obstacles.data.slice() : createSessionMask(solver).data;
+    let lastParams = { ...solver.params };
+
+    const session = {
+        version: SESSION_VERSION,
+        dt,
+        steps: 0,
+        params: { ...solver.params },
+        obstacles: diffObstacleMask(new Float32Array(mask.length), mask),
+        heatSources: solver.getHeatSources(),
+        events: []
+    };
+    // Parameters are plain fields, so changes are picked up by diffing them
+    // before anything else is logged
+    const logParams = () => {
+        const values = {};
+        for (const key of Object.keys(solver.params)) {
+            if (solver.params[key] !== lastParams[key]) values[key] = solver.params[key];
+        }
+        if (Object.keys(values).length > 0) {
+            session.events.push({ step: session.steps, type: 'params', values });
+            lastParams = { ...solver.params };
+        }
+    };
+    const log = (event) => {
+        logParams();
+        session.events.push({ step: session.steps, ...event });
+    };
+
+    const recording = Object.create(solver);
+    Object.assign(recording, {
+        session,
+
+        // Adaptive stepping changes dt from step to step; only changes are logged
+        step(stepDt) {
+            if (stepDt !== currentDt) {
+                log({ type: 'dt', value: stepDt });
+                currentDt = stepDt;
+            }
+            logParams();
+            solver.step(stepDt);
+            session.steps++;
+        },
+
+        splat(x, y, dx, dy, color) {
+            log({ type: 'splat', x, y, dx, dy, color: color ? Array.from(color) : null });
+            solver.splat(x, y, dx, dy, color);
+        },
+
+        clear() {
+            log({ type: 'clear' });
+            solver.clear();
+        },
+
+        // The grid params change here rather than through a params event,
+        // and obstacle changes afterwards are logged against an empty mask
+        resize(options) {
+            logParams();
+            solver.resize(options);
+            const { resolution, dyeResolution, aspectRatio } = solver.params;
+            if (resolution === lastParams.resolution && dyeResolution === lastParams.dyeResolution &&
+                aspectRatio === lastParams.aspectRatio) return;
+            session.events.push({ step: session.steps, type: 'resize', resolution, dyeResolution, aspectRatio });
+            lastParams = { ...solver.params };
+            mask = createSessionMask(solver).data;
+        },
+
+        setObstacles(next) {
+            const data = next ? next.data : new Float32Array(mask.length);
+            const changes = diffObstacleMask(mask, data);
+            if (changes.length > 0) log({ type: 'obstacles', changes });
+            mask = data.slice();
+            solver.setObstacles(next);
+        },
+
+        setHeatSources(sources) {
+            log({ type: 'heat', sources: sources.map(source => ({ ...source })) });
+            solver.setHeatSources(sources);
+        },
+
+        toJSON: () => session
+    });
+    return recording;
+}
+
+// Replays a session on a solver, one step per call. reset() puts the solver
+// back to the recorded starting state; step() returns false once finished.
+// The solver is resized to the recorded grids as the replay goes.
+function createSessionPlayer(session, solver) {
+    if (session.version !== SESSION_VERSION) {
+        throw new Error(`Unsupported session version ${session.version}`);
+    }
+
+    let mask = null;
+    let stepIndex = 0;
+    let eventIndex = 0;
+    let dt = session.dt;
+
+    const applyChanges = (changes) => {
+        for (let k = 0; k < changes.length; k += 2) {
+            mask.data[changes[k]] = changes[k + 1];
+        }
+    };
+
+    const applyEvent = (event) => {
+        switch (event.type) {
+            case 'params':
+                Object.assign(solver.params, event.values);
+                break;
+            case 'splat':
+                solver.splat(event.x, event.y, event.dx, event.dy, event.color);
+                break;
+            case 'clear':
+                solver.clear();
+                break;
+            case 'obstacles':
+                applyChanges(event.changes);
+                solver.setObstacles(mask);
+                break;
+            case 'dt':
+                dt = event.value;
+                break;
+            case 'heat':
+                solver.setHeatSources(event.sources);
+                break;
+            case 'resize':
+                solver.resize(event);
+                mask = createSessionMask(solver);
+                break;
+            default:
+                throw new Error(`Unknown session event: ${event.type}`);
+        }
+    };
+
+    return {
+        session,
+
+        get stepIndex() {
+            return stepIndex;
+        },
+
+        // Time step the last step() ran with
+        get dt() {
+            return dt;
+        },
+
+        get done() {
+            return stepIndex >= session.steps;
+        },
+
+        reset() {
+            solver.resize(session.params);
+            Object.assign(solver.params, session.params);
+            solver.clear();
+            mask = createSessionMask(solver);
+            applyChanges(session.obstacles);
+            solver.setObstacles(mask);
+            solver.setHeatSources(session.heatSources || []);
+            stepIndex = 0;
+            eventIndex = 0;
+            dt = session.dt;
+        },
+
+        step() {
+            if (stepIndex >= session.steps) return false;
+            while (eventIndex < session.events.length && session.events[eventIndex].step === stepIndex) {
+                applyEvent(session.events[eventIndex++]);
+            }
+            solver.step(dt);
+            stepIndex++;
+            return true;
+        }
+    };
+}
+
+// Replay a whole session headlessly, e.g. a fixture on the CPU solver
+function replaySession(session, solver) {
+    const player = createSessionPlayer(session, solver);
+    player.reset();
+    while (player.step()) { /* run to the end */ }
+    return solver;
+}
+
+// Allow headless use from Node, next to fluid-solver.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createSessionRecorder, createSessionPlayer, replaySession };
+}
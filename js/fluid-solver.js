@@ -0,0 +1,2205 @@
+/**
+ * Fluid Solver
+ * Stable Fluids core shared by the simulation tab and headless scripts.
+ * Runs on a WebGL context or on plain Float32Arrays with the same numerics.
+ */
+
+// Every field is stored like an RGBA float texture: 4 channels per texel,
+// row 0 at the bottom, sampled at texel centers with clamp-to-edge.
+//   velocity: (vx, vy, 0, 1) in texels per second
+//   pressure, divergence, curl: value in the red channel
+//   dye: (r, g, b, 1)
+//   temperature: (T − ambientTemperature, 0, 0, 1) in kelvin
+//   heat: (heating rate in K/s, smoke rate in dye per second, 0, 1), see
+//         buildHeatField
+//   obstacles: 1 in the red channel inside solids, 0 in the fluid
+
+// Physical units: the domain is domainSize metres across its short side,
+// time is in seconds, and viscosity and dye diffusivity are kinematic (m²/s).
+// Grid cells are square: resolution (dyeResolution for the dye) cells span
+// the short side and aspectRatio (width / height) sets the long one.
+const SOLVER_DEFAULTS = {
+    resolution: 256,
+    dyeResolution: 512,
+    domainSize: 1,
+    viscosity: 0.0005,
+    dyeDiffusivity: 0.0001,
+    dyeDissipation: 0,
+    // Hot fluid rises at buoyancy m/s² per kelvin above ambient (g/T, about
+    // 0.033 for air) and smoke, the dye's mean (r, g, b), sinks at
+    // smokeWeight m/s² per unit. coolingRate relaxes the temperature toward
+    // ambient (fraction per second).
+    ambientTemperature: 293.15,
+    thermalDiffusivity: 0,
+    coolingRate: 0,
+    buoyancy: 0,
+    smokeWeight: 0,
+    vorticityConfinement: 0,
+    wallType: 'no-slip',
+    inletSpeed: 0,
+    streakCount: 0,
+    streakWidth: 0.01,
+    diffusionIterations: 20,
+    // 'jacobi' runs pressureIterations sweeps, 'multigrid' multigridCycles V-cycles
+    pressureSolver: 'jacobi',
+    pressureIterations: 20,
+    multigridCycles: 2,
+    aspectRatio: 1,
+    velocitySplatRadius: 0.002,
+    dyeSplatRadius: 0.003
+};
+
+// Width and height in cells of a grid with resolution cells across the
+// short side of a domain aspectRatio times as wide as it is tall
+function getGridSize(resolution, aspectRatio = 1) {
+    const long = Math.max(resolution, Math.round(resolution * Math.max(aspectRatio, 1 / aspectRatio)));
+    return aspectRatio >= 1
+        ? { width: long, height: resolution }
+        : { width: resolution, height: long };
+}
+
+// Weight α = D Δt / h² of the neighbours in the implicit diffusion step
+// (I − D Δt ∇²) q = q*, on a grid with cell size h = domainSize / resolution
+function getDiffusionWeight(diffusivity, dt, params, resolution) {
+    const h = params.domainSize / resolution;
+    return diffusivity * dt / (h * h);
+}
+
+// Wind tunnel: with inletSpeed > 0 the left edge is a constant-velocity
+// inlet and the right edge an outflow (pressure fixed at zero). streakCount
+// dye streaks of height streakWidth enter evenly spaced along the inlet,
+// at least a texel and a half high so every streak covers a dye texel
+// center on coarse dye grids too.
+function getInletVelocity(params) {
+    // m/s -> texels per second
+    return params.inletSpeed * params.resolution / params.domainSize;
+}
+
+// Streak k of count, coloured around the hue wheel (matches the inletDye shader)
+function getStreakColor(k, count) {
+    const h = (k / count) * 6;
+    return [0, 4, 2].map(offset => {
+        const c = Math.abs(((h + offset) % 6) - 3) - 1;
+        return Math.min(Math.max(c, 0), 1);
+    });
+}
+
+// Factors from stored values to SI units. Velocity is stored in texels/s and
+// pressure as p·Δt/(ρh²), so p/ρ comes out in m²/s². Curl and divergence
+// are already in 1/s.
+function getFieldScales(params, dt) {
+    const h = params.domainSize / params.resolution;
+    return {
+        velocity: h,
+        pressure: dt > 0 ? h * h / dt : 0
+    };
+}
+
+// One probe reading in SI units from the raw texels at a cell
+function toProbeReading(velocity, pressure, vorticity, params, dt) {
+    const scales = getFieldScales(params, dt);
+    return {
+        u: velocity[0] * scales.velocity,
+        v: velocity[1] * scales.velocity,
+        pressure: pressure * scales.pressure,
+        vorticity
+    };
+}
+
+// Heat sources { x, y, radius, heat (K/s), smoke (dye per second) } as a
+// width × height field of rates. Each source is a Gaussian of the given
+// radius (a fraction of the domain height) around (x, y) in [0, 1] texture
+// coordinates, cut off at three radii.
+function buildHeatField(sources, width, height) {
+    const field = createField(width, height);
+    for (const source of sources) {
+        const reach = 3 * source.radius * height;
+        const ci = source.x * width;
+        const cj = source.y * height;
+        const r2 = source.radius * source.radius * height * height;
+        for (let j = Math.max(Math.floor(cj - reach), 0); j < Math.min(Math.ceil(cj + reach), height); j++) {
+            for (let i = Math.max(Math.floor(ci - reach), 0); i < Math.min(Math.ceil(ci + reach), width); i++) {
+                const px = i + 0.5 - ci;
+                const py = j + 0.5 - cj;
+                const w = Math.exp(-(px * px + py * py) / r2);
+                const n = (j * width + i) * 4;
+                field.data[n] += (source.heat || 0) * w;
+                field.data[n + 1] += (source.smoke || 0) * w;
+            }
+        }
+    }
+    return field;
+}
+
+// Global diagnostics from read-back fields, per unit density and depth:
+// kinetic energy ∫½|u|² dA (m⁴/s²), enstrophy ∫½ω² dA (m²/s²), the largest
+// |∇·u| left by the projection (1/s) and total dye ∫ mean(r, g, b) dA (m²)
+function measureFields(velocity, curl, residual, dye, params) {
+    const h = params.domainSize / params.resolution;
+    let kinetic = 0;
+    let enstrophy = 0;
+    let maxDivergence = 0;
+    for (let n = 0; n < velocity.data.length; n += 4) {
+        const ux = velocity.data[n] * h;
+        const uy = velocity.data[n + 1] * h;
+        kinetic += 0.5 * (ux * ux + uy * uy);
+        enstrophy += 0.5 * curl.data[n] * curl.data[n];
+        maxDivergence = Math.max(maxDivergence, Math.abs(residual.data[n]));
+    }
+
+    const hDye = params.domainSize / params.dyeResolution;
+    let totalDye = 0;
+    for (let n = 0; n < dye.data.length; n += 4) {
+        totalDye += (dye.data[n] + dye.data[n + 1] + dye.data[n + 2]) / 3;
+    }
+
+    return {
+        kineticEnergy: kinetic * h * h,
+        enstrophy: enstrophy * h * h,
+        maxDivergence,
+        totalDye: totalDye * hDye * hDye
+    };
+}
+
+// Fields saved by getState: everything the next step reads. The divergence
+// and diffusion sources are rebuilt every step.
+const STATE_FIELDS = ['velocity', 'pressure', 'curl', 'dye', 'temperature', 'obstacles'];
+
+// The simulation and dye grid sizes of params, e.g. '614x256/1229x512'
+function describeGrids(params) {
+    const grid = getGridSize(params.resolution, params.aspectRatio);
+    const dye = getGridSize(params.dyeResolution, params.aspectRatio);
+    return `${grid.width}x${grid.height}/${dye.width}x${dye.height}`;
+}
+
+function checkStateResolution(state, params) {
+    if (describeGrids(state.params) !== describeGrids(params)) {
+        throw new Error(`State is ${describeGrids(state.params)}, solver runs at ${describeGrids(params)}`);
+    }
+}
+
+// Fields that resize() carries over to the new grids, with the factor each
+// is scaled by when the cells get n times smaller: velocity is in cells per
+// second and pressure scales with 1/h² (see getFieldScales)
+const RESAMPLED_FIELDS = {
+    velocity: (n) => [n, n, 1, 1],
+    pressure: (n) => [n * n, 1, 1, 1],
+    curl: () => [1, 1, 1, 1],
+    dye: () => [1, 1, 1, 1],
+    temperature: () => [1, 1, 1, 1],
+    obstacles: () => [1, 1, 1, 1]
+};
+
+// Grid options for resize(): resolution, dyeResolution and aspectRatio,
+// each defaulting to the current value
+function getResizeParams(params, options) {
+    return {
+        resolution: options.resolution || params.resolution,
+        dyeResolution: options.dyeResolution || params.dyeResolution,
+        aspectRatio: options.aspectRatio || params.aspectRatio
+    };
+}
+
+// Multigrid pressure solve: V-cycles over grids that halve in size down to
+// about MULTIGRID_COARSEST cells across the short side. Each level smooths
+// with weighted Jacobi (ω = 0.8 damps the checkerboard modes plain Jacobi
+// leaves behind).
+const MULTIGRID_COARSEST = 2;
+const MULTIGRID_SMOOTHING = 2;
+const MULTIGRID_COARSE_SWEEPS = 16;
+const MULTIGRID_WEIGHT = 0.8;
+
+// [{ width, height }] of every level, the simulation grid first
+function getMultigridSizes(width, height) {
+    const sizes = [{ width, height }];
+    while (Math.ceil(Math.min(width, height) / 2) >= MULTIGRID_COARSEST) {
+        width = Math.ceil(width / 2);
+        height = Math.ceil(height / 2);
+        sizes.push({ width, height });
+    }
+    return sizes;
+}
+
+// The fine grid's outflow holds p = 0 at its ghost cell, half a fine cell
+// past the edge. A level whose cells are w fine cells wide puts zero at the
+// same place with a ghost value of (1 − w)/(1 + w) times the edge cell.
+function getOutflowGhost(fineWidth, width) {
+    const w = fineWidth / width;
+    return (1 - w) / (1 + w);
+}
+
+// Geometry of every multigrid level from the RGBA obstacle field, as
+// { solid, faces } fields: solid in the red channel, and the open fraction of
+// each cell's left, right, bottom and top face in RGBA. On the simulation
+// grid a face is open between two fluid cells; a coarse face is the mean of
+// the two fine faces it covers, so thin walls survive coarsening. A coarse
+// cell is solid when all of it is, or when nothing can flow into it.
+function buildMultigridGeometry(field, sizes) {
+    const fluidAt = (i, j) => fetchField(field, i, j, 0) >= 0.5 ? 0 : 1;
+    const { width: w, height: h } = sizes[0];
+    const solid = new Float32Array(w * h * 4);
+    const faces = new Float32Array(w * h * 4);
+    for (let j = 0; j < h; j++) {
+        for (let i = 0; i < w; i++) {
+            const n = (j * w + i) * 4;
+            const fluid = fluidAt(i, j);
+            solid[n] = 1 - fluid;
+            solid[n + 3] = 1;
+            faces[n] = fluid * fluidAt(i - 1, j);
+            faces[n + 1] = fluid * fluidAt(i + 1, j);
+            faces[n + 2] = fluid * fluidAt(i, j - 1);
+            faces[n + 3] = fluid * fluidAt(i, j + 1);
+        }
+    }
+    const levels = [{ solid: { width: w, height: h, data: solid }, faces: { width: w, height: h, data: faces } }];
+
+    for (let l = 1; l < sizes.length; l++) {
+        const fine = levels[l - 1];
+        const { width, height } = sizes[l];
+        const coarse = {
+            solid: createField(width, height),
+            faces: { width, height, data: new Float32Array(width * height * 4) }
+        };
+        const face = (i, j, k) => fetchField(fine.faces, i, j, k);
+        for (let j = 0; j < height; j++) {
+            for (let i = 0; i < width; i++) {
+                const n = (j * width + i) * 4;
+                const fi = 2 * i;
+                const fj = 2 * j;
+                const open = [
+                    (face(fi, fj, 0) + face(fi, fj + 1, 0)) / 2,
+                    (face(fi + 1, fj, 1) + face(fi + 1, fj + 1, 1)) / 2,
+                    (face(fi, fj, 2) + face(fi + 1, fj, 2)) / 2,
+                    (face(fi, fj + 1, 3) + face(fi + 1, fj + 1, 3)) / 2
+                ];
+                const allSolid = fetchField(fine.solid, fi, fj, 0) * fetchField(fine.solid, fi + 1, fj, 0) *
+                    fetchField(fine.solid, fi, fj + 1, 0) * fetchField(fine.solid, fi + 1, fj + 1, 0);
+                if (allSolid > 0 || open.every(a => a === 0)) {
+                    coarse.solid.data[n] = 1;
+                } else {
+                    coarse.faces.data.set(open, n);
+                }
+            }
+        }
+        levels.push(coarse);
+    }
+    return levels;
+}
+
+// Time the pressure solve under each of settingsList (overrides of
+// pressureSolver, pressureIterations and multigridCycles) on the divergence
+// of the last step. The backend supplies solvePressure(), sync() and
+// residual(), the largest |∇²p − ∇·u| relative to the largest |∇·u|.
+function benchmarkPressureSolvers(params, settingsList, repeats, backend) {
+    const results = settingsList.map(settings => {
+        const saved = {};
+        for (const key of Object.keys(settings)) saved[key] = params[key];
+        Object.assign(params, settings);
+        backend.sync();
+        const start = performance.now();
+        for (let k = 0; k < repeats; k++) backend.solvePressure();
+        backend.sync();
+        const ms = (performance.now() - start) / repeats;
+        const residual = backend.residual();
+        Object.assign(params, saved);
+        return { ...settings, ms, residual };
+    });
+    // Leave the pressure the solver's own settings produce
+    backend.solvePressure();
+    return results;
+}
+
+// Options: { gl, resolution, dyeResolution, domainSize, viscosity,
+// dyeDiffusivity, dyeDissipation (fraction per second), ambientTemperature,
+// thermalDiffusivity, coolingRate, buoyancy, smokeWeight, vorticityConfinement,
+// wallType ('no-slip' or 'free-slip'), inletSpeed (m/s, 0 turns the wind
+// tunnel off), streakCount, streakWidth, diffusionIterations,
+// pressureSolver, pressureIterations, multigridCycles, aspectRatio }. Without a gl context the CPU backend
+// is used. The returned solver's params can be changed between steps,
+// except the grid ones (resolution, dyeResolution, aspectRatio), which
+// resize() changes.
+function createSolver(options = {}) {
+    const params = { ...SOLVER_DEFAULTS, ...options };
+    delete params.gl;
+
+    return options.gl
+        ? createWebGLSolver(options.gl, params)
+        : createCPUSolver(params);
+}
+
+// ---------------------------------------------------------------------------
+// WebGL backend
+// ---------------------------------------------------------------------------
+
+const SOLVER_SHADERS = {
+    vertex: `
+        attribute vec2 a_position;
+        varying vec2 v_uv;
+
+        void main() {
+            v_uv = a_position * 0.5 + 0.5;
+            gl_Position = vec4(a_position, 0.0, 1.0);
+        }
+    `,
+
+    clear: `
+        precision highp float;
+        uniform vec4 u_color;
+
+        void main() {
+            gl_FragColor = u_color;
+        }
+    `,
+
+    splat: `
+        precision highp float;
+        uniform sampler2D u_texture;
+        uniform vec2 u_point;
+        uniform vec3 u_color;
+        uniform float u_radius;
+        uniform float u_aspectRatio;
+        varying vec2 v_uv;
+
+        void main() {
+            vec2 p = v_uv - u_point;
+            p.x *= u_aspectRatio;
+            float d = length(p);
+            float splash = exp(-d * d / u_radius);
+            vec3 base = texture2D(u_texture, v_uv).rgb;
+            gl_FragColor = vec4(base + splash * u_color, 1.0);
+        }
+    `,
+
+    // Solid cells hold no velocity and no dye
+    advection: `
+        precision highp float;
+        uniform sampler2D u_velocity;
+        uniform sampler2D u_source;
+        uniform sampler2D u_obstacles;
+        uniform vec2 u_texelSize;
+        uniform float u_dt;
+        uniform float u_dissipation;
+        varying vec2 v_uv;
+
+        void main() {
+            float solid = step(0.5, texture2D(u_obstacles, v_uv).x);
+            vec2 vel = texture2D(u_velocity, v_uv).xy;
+            vec2 coord = v_uv - u_dt * vel * u_texelSize;
+            gl_FragColor = (1.0 - solid) * u_dissipation * texture2D(u_source, coord);
+        }
+    `,
+
+    // One Jacobi sweep of (I − αΔ) q = q*: all four channels at once.
+    // Solid neighbours act as 0 (Dirichlet) or mirror the center (Neumann).
+    diffusion: `
+        precision highp float;
+        uniform sampler2D u_field;
+        uniform sampler2D u_source;
+        uniform sampler2D u_obstacles;
+        uniform vec2 u_texelSize;
+        uniform float u_alpha;
+        uniform float u_neumann;
+        varying vec2 v_uv;
+
+        void main() {
+            vec2 dx = vec2(u_texelSize.x, 0.0);
+            vec2 dy = vec2(0.0, u_texelSize.y);
+            vec4 wall = u_neumann * texture2D(u_field, v_uv);
+            vec4 L = mix(texture2D(u_field, v_uv - dx), wall, step(0.5, texture2D(u_obstacles, v_uv - dx).x));
+            vec4 R = mix(texture2D(u_field, v_uv + dx), wall, step(0.5, texture2D(u_obstacles, v_uv + dx).x));
+            vec4 B = mix(texture2D(u_field, v_uv - dy), wall, step(0.5, texture2D(u_obstacles, v_uv - dy).x));
+            vec4 T = mix(texture2D(u_field, v_uv + dy), wall, step(0.5, texture2D(u_obstacles, v_uv + dy).x));
+            float solid = step(0.5, texture2D(u_obstacles, v_uv).x);
+            vec4 source = texture2D(u_source, v_uv);
+            gl_FragColor = (1.0 - solid) * (source + u_alpha * (L + R + B + T)) / (1.0 + 4.0 * u_alpha);
+        }
+    `,
+
+    // A solid neighbour mirrors the normal velocity, so no flux crosses the wall
+    divergence: `
+        precision highp float;
+        uniform sampler2D u_velocity;
+        uniform sampler2D u_obstacles;
+        uniform vec2 u_texelSize;
+        varying vec2 v_uv;
+
+        void main() {
+            vec2 dx = vec2(u_texelSize.x, 0.0);
+            vec2 dy = vec2(0.0, u_texelSize.y);
+            vec2 C = texture2D(u_velocity, v_uv).xy;
+            float L = mix(texture2D(u_velocity, v_uv - dx).x, -C.x, step(0.5, texture2D(u_obstacles, v_uv - dx).x));
+            float R = mix(texture2D(u_velocity, v_uv + dx).x, -C.x, step(0.5, texture2D(u_obstacles, v_uv + dx).x));
+            float B = mix(texture2D(u_velocity, v_uv - dy).y, -C.y, step(0.5, texture2D(u_obstacles, v_uv - dy).x));
+            float T = mix(texture2D(u_velocity, v_uv + dy).y, -C.y, step(0.5, texture2D(u_obstacles, v_uv + dy).x));
+            float solid = step(0.5, texture2D(u_obstacles, v_uv).x);
+            float div = (1.0 - solid) * 0.5 * (R - L + T - B);
+            gl_FragColor = vec4(div, 0.0, 0.0, 1.0);
+        }
+    `,
+
+    // Walls are Neumann for pressure: across a closed face (u_faces, see
+    // buildMultigridGeometry) the neighbour takes the center value, and a
+    // partly open face on a coarse multigrid level blends the two. An outflow
+    // right edge sees zero pressure beyond it (u_outflowGhost times the center
+    // value on coarse levels). u_weight < 1 damps the sweep for smoothing.
+    pressure: `
+        precision highp float;
+        uniform sampler2D u_pressure;
+        uniform sampler2D u_divergence;
+        uniform sampler2D u_obstacles;
+        uniform sampler2D u_faces;
+        uniform vec2 u_texelSize;
+        uniform float u_outflow;
+        uniform float u_outflowGhost;
+        uniform float u_weight;
+        varying vec2 v_uv;
+
+        void main() {
+            vec2 dx = vec2(u_texelSize.x, 0.0);
+            vec2 dy = vec2(0.0, u_texelSize.y);
+            float P = texture2D(u_pressure, v_uv).x;
+            vec4 open = texture2D(u_faces, v_uv);
+            float L = mix(P, texture2D(u_pressure, v_uv - dx).x, open.x);
+            float R = mix(P, texture2D(u_pressure, v_uv + dx).x, open.y);
+            float B = mix(P, texture2D(u_pressure, v_uv - dy).x, open.z);
+            float T = mix(P, texture2D(u_pressure, v_uv + dy).x, open.w);
+            R = mix(R, u_outflowGhost * P, u_outflow * step(1.0, v_uv.x + u_texelSize.x));
+            float C = texture2D(u_divergence, v_uv).x;
+            float solid = step(0.5, texture2D(u_obstacles, v_uv).x);
+            float pressure = (1.0 - solid) * (L + R + B + T - C) * 0.25;
+            gl_FragColor = vec4(mix(P, pressure, u_weight), 0.0, 0.0, 1.0);
+        }
+    `,
+
+    // Next to a wall: free-slip zeroes the normal velocity, no-slip all of it
+    gradientSubtract: `
+        precision highp float;
+        uniform sampler2D u_pressure;
+        uniform sampler2D u_velocity;
+        uniform sampler2D u_obstacles;
+        uniform vec2 u_texelSize;
+        uniform float u_noSlip;
+        uniform float u_outflow;
+        varying vec2 v_uv;
+
+        void main() {
+            vec2 dx = vec2(u_texelSize.x, 0.0);
+            vec2 dy = vec2(0.0, u_texelSize.y);
+            float oL = step(0.5, texture2D(u_obstacles, v_uv - dx).x);
+            float oR = step(0.5, texture2D(u_obstacles, v_uv + dx).x);
+            float oB = step(0.5, texture2D(u_obstacles, v_uv - dy).x);
+            float oT = step(0.5, texture2D(u_obstacles, v_uv + dy).x);
+            float P = texture2D(u_pressure, v_uv).x;
+            float L = mix(texture2D(u_pressure, v_uv - dx).x, P, oL);
+            float R = mix(texture2D(u_pressure, v_uv + dx).x, P, oR);
+            float B = mix(texture2D(u_pressure, v_uv - dy).x, P, oB);
+            float T = mix(texture2D(u_pressure, v_uv + dy).x, P, oT);
+            R *= 1.0 - u_outflow * step(1.0, v_uv.x + u_texelSize.x);
+            vec2 vel = texture2D(u_velocity, v_uv).xy;
+            vel -= vec2(R - L, T - B) * 0.5;
+
+            vec2 mask = vec2(1.0 - max(oL, oR), 1.0 - max(oB, oT));
+            float wall = max(max(oL, oR), max(oB, oT));
+            vel *= mix(mask, vec2(1.0 - wall), u_noSlip);
+            vel *= 1.0 - step(0.5, texture2D(u_obstacles, v_uv).x);
+            gl_FragColor = vec4(vel, 0.0, 1.0);
+        }
+    `,
+
+    // Residual ∇·u − ∇²p of the pressure equation, with the same boundaries
+    pressureResidual: `
+        precision highp float;
+        uniform sampler2D u_pressure;
+        uniform sampler2D u_divergence;
+        uniform sampler2D u_obstacles;
+        uniform sampler2D u_faces;
+        uniform vec2 u_texelSize;
+        uniform float u_outflow;
+        uniform float u_outflowGhost;
+        varying vec2 v_uv;
+
+        void main() {
+            vec2 dx = vec2(u_texelSize.x, 0.0);
+            vec2 dy = vec2(0.0, u_texelSize.y);
+            float P = texture2D(u_pressure, v_uv).x;
+            vec4 open = texture2D(u_faces, v_uv);
+            float L = mix(P, texture2D(u_pressure, v_uv - dx).x, open.x);
+            float R = mix(P, texture2D(u_pressure, v_uv + dx).x, open.y);
+            float B = mix(P, texture2D(u_pressure, v_uv - dy).x, open.z);
+            float T = mix(P, texture2D(u_pressure, v_uv + dy).x, open.w);
+            R = mix(R, u_outflowGhost * P, u_outflow * step(1.0, v_uv.x + u_texelSize.x));
+            float C = texture2D(u_divergence, v_uv).x;
+            float solid = step(0.5, texture2D(u_obstacles, v_uv).x);
+            float residual = (1.0 - solid) * (C - (L + R + B + T - 4.0 * P));
+            gl_FragColor = vec4(residual, 0.0, 0.0, 1.0);
+        }
+    `,
+
+    // Multigrid restriction: the mean of the 2×2 fine cells under each coarse
+    // cell, times u_scale
+    restrict: `
+        precision highp float;
+        uniform sampler2D u_source;
+        uniform vec2 u_sourceSize;
+        uniform vec2 u_targetSize;
+        uniform float u_scale;
+        varying vec2 v_uv;
+
+        void main() {
+            vec2 base = floor(v_uv * u_targetSize) * 2.0;
+            float sum = 0.0;
+            for (int a = 0; a < 2; a++) {
+                for (int b = 0; b < 2; b++) {
+                    vec2 cell = min(base + vec2(float(a), float(b)), u_sourceSize - 1.0);
+                    sum += texture2D(u_source, (cell + 0.5) / u_sourceSize).x;
+                }
+            }
+            gl_FragColor = vec4(0.25 * u_scale * sum, 0.0, 0.0, 1.0);
+        }
+    `,
+
+    // Multigrid prolongation: add the coarse correction, interpolated
+    // bilinearly from the parent cell and its neighbours on this cell's side.
+    // A neighbour counts only as far as the face toward it is open, so the
+    // correction does not leak through thin walls; past an outflow edge the
+    // neighbour is the ghost value.
+    prolong: `
+        precision highp float;
+        uniform sampler2D u_pressure;
+        uniform sampler2D u_correction;
+        uniform sampler2D u_obstacles;
+        uniform sampler2D u_coarseFaces;
+        uniform vec2 u_fineSize;
+        uniform vec2 u_coarseSize;
+        uniform float u_outflow;
+        uniform float u_outflowGhost;
+        varying vec2 v_uv;
+
+        float coarseAt(vec2 cell) {
+            float ghost = u_outflow * step(u_coarseSize.x, cell.x);
+            vec2 uv = (min(max(cell, 0.0), u_coarseSize - 1.0) + 0.5) / u_coarseSize;
+            return texture2D(u_correction, uv).x * mix(1.0, u_outflowGhost, ghost);
+        }
+
+        void main() {
+            vec2 cell = floor(v_uv * u_fineSize);
+            vec2 parent = floor(cell / 2.0);
+            vec2 side = mod(cell, 2.0) * 2.0 - 1.0;
+            vec4 open = texture2D(u_coarseFaces, (parent + 0.5) / u_coarseSize);
+            float ax = mix(side.x > 0.0 ? open.y : open.x, 1.0, u_outflow * step(u_coarseSize.x, parent.x + side.x));
+            float ay = side.y > 0.0 ? open.w : open.z;
+
+            float E = coarseAt(parent);
+            float X = mix(E, coarseAt(parent + vec2(side.x, 0.0)), ax);
+            float Y = mix(E, coarseAt(parent + vec2(0.0, side.y)), ay);
+            float XY = mix(E, coarseAt(parent + side), ax * ay);
+            float correction = (9.0 * E + 3.0 * X + 3.0 * Y + XY) / 16.0;
+
+            float solid = step(0.5, texture2D(u_obstacles, v_uv).x);
+            float pressure = texture2D(u_pressure, v_uv).x + (1.0 - solid) * correction;
+            gl_FragColor = vec4(pressure, 0.0, 0.0, 1.0);
+        }
+    `,
+
+    // Vorticity confinement (Fedkiw et al.): push velocity along N × ω, where
+    // N points up the gradient of |ω|, scaled by ε and one grid cell
+    vorticity: `
+        precision highp float;
+        uniform sampler2D u_velocity;
+        uniform sampler2D u_curl;
+        uniform vec2 u_texelSize;
+        uniform float u_confinement;
+        uniform float u_dt;
+        varying vec2 v_uv;
+
+        void main() {
+            float L = abs(texture2D(u_curl, v_uv - vec2(u_texelSize.x, 0.0)).x);
+            float R = abs(texture2D(u_curl, v_uv + vec2(u_texelSize.x, 0.0)).x);
+            float B = abs(texture2D(u_curl, v_uv - vec2(0.0, u_texelSize.y)).x);
+            float T = abs(texture2D(u_curl, v_uv + vec2(0.0, u_texelSize.y)).x);
+            float C = texture2D(u_curl, v_uv).x;
+            vec2 N = 0.5 * vec2(R - L, T - B);
+            N /= length(N) + 1e-5;
+            vec2 force = u_confinement * C * vec2(N.y, -N.x);
+            vec2 vel = texture2D(u_velocity, v_uv).xy + force * u_dt;
+            gl_FragColor = vec4(vel, 0.0, 1.0);
+        }
+    `,
+
+    // Boussinesq buoyancy: hot fluid rises and smoke weighs the fluid down.
+    // u_buoyancy and u_smokeWeight are in cells/s² per kelvin and per unit
+    // of smoke.
+    buoyancy: `
+        precision highp float;
+        uniform sampler2D u_velocity;
+        uniform sampler2D u_temperature;
+        uniform sampler2D u_dye;
+        uniform float u_buoyancy;
+        uniform float u_smokeWeight;
+        uniform float u_dt;
+        varying vec2 v_uv;
+
+        void main() {
+            vec4 vel = texture2D(u_velocity, v_uv);
+            float T = texture2D(u_temperature, v_uv).x;
+            vec3 dye = texture2D(u_dye, v_uv).rgb;
+            float smoke = (dye.r + dye.g + dye.b) / 3.0;
+            vel.y += u_dt * (u_buoyancy * T - u_smokeWeight * smoke);
+            gl_FragColor = vel;
+        }
+    `,
+
+    // Heat sources: the rate picked from the heat field by u_select, added
+    // to the channels in u_target (which include Δt)
+    addSource: `
+        precision highp float;
+        uniform sampler2D u_field;
+        uniform sampler2D u_heat;
+        uniform vec2 u_select;
+        uniform vec4 u_target;
+        varying vec2 v_uv;
+
+        void main() {
+            float rate = dot(texture2D(u_heat, v_uv).xy, u_select);
+            gl_FragColor = texture2D(u_field, v_uv) + rate * u_target;
+        }
+    `,
+
+    // Wind-tunnel inlet: the first column of texels blows at u_inlet
+    inletVelocity: `
+        precision highp float;
+        uniform sampler2D u_velocity;
+        uniform vec2 u_texelSize;
+        uniform float u_inlet;
+        varying vec2 v_uv;
+
+        void main() {
+            float inlet = step(v_uv.x, u_texelSize.x);
+            gl_FragColor = mix(texture2D(u_velocity, v_uv), vec4(u_inlet, 0.0, 0.0, 1.0), inlet);
+        }
+    `,
+
+    // Fluid entering through the inlet carries evenly spaced coloured streaks
+    inletDye: `
+        precision highp float;
+        uniform sampler2D u_dye;
+        uniform vec2 u_texelSize;
+        uniform float u_streakCount;
+        uniform float u_streakWidth;
+        varying vec2 v_uv;
+
+        void main() {
+            float inlet = step(v_uv.x, u_texelSize.x);
+            float k = floor(v_uv.y * u_streakCount);
+            float center = (k + 0.5) / u_streakCount;
+            float inside = step(abs(v_uv.y - center), 0.5 * u_streakWidth);
+            vec3 hue = clamp(abs(mod(6.0 * k / u_streakCount + vec3(0.0, 4.0, 2.0), 6.0) - 3.0) - 1.0, 0.0, 1.0);
+            gl_FragColor = mix(texture2D(u_dye, v_uv), vec4(inside * hue, 1.0), inlet);
+        }
+    `,
+
+    curl: `
+        precision highp float;
+        uniform sampler2D u_velocity;
+        uniform vec2 u_texelSize;
+        varying vec2 v_uv;
+
+        void main() {
+            float L = texture2D(u_velocity, v_uv - vec2(u_texelSize.x, 0.0)).y;
+            float R = texture2D(u_velocity, v_uv + vec2(u_texelSize.x, 0.0)).y;
+            float B = texture2D(u_velocity, v_uv - vec2(0.0, u_texelSize.y)).x;
+            float T = texture2D(u_velocity, v_uv + vec2(0.0, u_texelSize.y)).x;
+            float curl = (R - L) - (T - B);
+            gl_FragColor = vec4(curl * 0.5, 0.0, 0.0, 1.0);
+        }
+    `,
+
+    // Bilinear copy of a field onto a grid of another size, channel by
+    // channel times u_scale
+    resample: `
+        precision highp float;
+        uniform sampler2D u_source;
+        uniform vec4 u_scale;
+        varying vec2 v_uv;
+
+        void main() {
+            gl_FragColor = u_scale * texture2D(u_source, v_uv);
+        }
+    `,
+
+    // Largest value over a 4×4 block of the source: |velocity| on the first
+    // pass, then the running maximum in the red channel
+    maxReduce: `
+        precision highp float;
+        uniform sampler2D u_source;
+        uniform vec2 u_sourceSize;
+        uniform vec2 u_targetSize;
+        uniform float u_magnitude;
+        varying vec2 v_uv;
+
+        void main() {
+            vec2 base = floor(v_uv * u_targetSize) * 4.0;
+            float result = 0.0;
+            for (int a = 0; a < 4; a++) {
+                for (int b = 0; b < 4; b++) {
+                    vec2 uv = (base + vec2(float(a), float(b)) + 0.5) / u_sourceSize;
+                    vec4 s = texture2D(u_source, uv);
+                    result = max(result, u_magnitude > 0.5 ? length(s.xy) : s.x);
+                }
+            }
+            gl_FragColor = vec4(result, 0.0, 0.0, 1.0);
+        }
+    `
+};
+
+function createWebGLSolver(gl, params) {
+    // Float render targets
+    gl.getExtension('OES_texture_float');
+    gl.getExtension('OES_texture_float_linear');
+    gl.getExtension('WEBGL_color_buffer_float');
+
+    const quadBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, quadBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
+        -1, -1,
+        -1, 1,
+        1, 1,
+        1, -1
+    ]), gl.STATIC_DRAW);
+
+    const compileShader = (type, source) => {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            console.error('Shader compile error:', gl.getShaderInfoLog(shader));
+            return null;
+        }
+        return shader;
+    };
+
+    // A program from the vertex shader and a fragment shader's source
+    const createProgram = (fragSource) => {
+        if (typeof fragSource !== 'string') throw new Error('Missing fragment shader source');
+        const vertex = compileShader(gl.VERTEX_SHADER, SOLVER_SHADERS.vertex);
+        const fragment = compileShader(gl.FRAGMENT_SHADER, fragSource);
+        if (!vertex || !fragment) throw new Error('Shader failed to compile');
+
+        const program = gl.createProgram();
+        gl.attachShader(program, vertex);
+        gl.attachShader(program, fragment);
+        gl.linkProgram(program);
+
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            console.error('Program link error:', gl.getProgramInfoLog(program));
+            return null;
+        }
+        return program;
+    };
+
+    const createFBO = (w, h) => {
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, gl.FLOAT, null);
+
+        const fbo = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+
+        return { texture, fbo, width: w, height: h };
+    };
+
+    const createDoubleFBO = (w, h) => ({
+        read: createFBO(w, h),
+        write: createFBO(w, h),
+        swap() {
+            const temp = this.read;
+            this.read = this.write;
+            this.write = temp;
+        }
+    });
+
+    const deleteTarget = (target) => {
+        gl.deleteTexture(target.texture);
+        gl.deleteFramebuffer(target.fbo);
+    };
+
+    const programs = {};
+    for (const name of ['clear', 'splat', 'advection', 'diffusion', 'divergence', 'pressure', 'gradientSubtract',
+        'curl', 'vorticity', 'inletVelocity', 'inletDye', 'maxReduce', 'pressureResidual', 'restrict', 'prolong',
+        'resample', 'buoyancy', 'addSource']) {
+        if (!SOLVER_SHADERS[name]) throw new Error(`Missing solver shader: ${name}`);
+        programs[name] = createProgram(SOLVER_SHADERS[name]);
+    }
+
+    // Everything sized by the grids: the fields, the reduction chain for
+    // reduceMax and the pressure solve levels. allocate() builds them for
+    // the grid params; resize() replaces them.
+    let grid, dyeGrid, textures, reduceLevels, multigridSizes, fineLevel, multigridLevels;
+
+    const allocate = () => {
+        grid = getGridSize(params.resolution, params.aspectRatio);
+        dyeGrid = getGridSize(params.dyeResolution, params.aspectRatio);
+        const { width: w, height: h } = grid;
+        textures = {
+            velocity: createDoubleFBO(w, h),
+            pressure: createDoubleFBO(w, h),
+            divergence: createFBO(w, h),
+            // Divergence after projection, for diagnostics
+            residual: createFBO(w, h),
+            curl: createFBO(w, h),
+            dye: createDoubleFBO(dyeGrid.width, dyeGrid.height),
+            temperature: createDoubleFBO(w, h),
+            heat: createFBO(w, h),
+            obstacles: createFBO(w, h),
+            // Advected fields q*, the right-hand side of the diffusion solve
+            velocitySource: createFBO(w, h),
+            dyeSource: createFBO(dyeGrid.width, dyeGrid.height),
+            temperatureSource: createFBO(w, h)
+        };
+
+        // Each reduction level is a quarter the size of the one before, down
+        // to a single texel
+        reduceLevels = [];
+        for (let rw = w, rh = h; rw > 1 || rh > 1;) {
+            rw = Math.ceil(rw / 4);
+            rh = Math.ceil(rh / 4);
+            reduceLevels.push(createFBO(rw, rh));
+        }
+
+        // The simulation grid, then the coarser multigrid grids, each with
+        // its own geometry (see buildMultigridGeometry), pressure (the
+        // correction on coarse levels), right-hand side and residual
+        multigridSizes = getMultigridSizes(w, h);
+        fineLevel = {
+            width: w,
+            height: h,
+            ghost: 0,
+            obstacles: textures.obstacles,
+            faces: createFBO(w, h),
+            pressure: textures.pressure,
+            rhs: textures.divergence,
+            residual: createFBO(w, h)
+        };
+        multigridLevels = [fineLevel, ...multigridSizes.slice(1).map(({ width, height }) => ({
+            width,
+            height,
+            ghost: getOutflowGhost(w, width),
+            obstacles: createFBO(width, height),
+            faces: createFBO(width, height),
+            pressure: createDoubleFBO(width, height),
+            rhs: createFBO(width, height),
+            residual: createFBO(width, height)
+        }))];
+    };
+
+    // Every target allocate() made, for resize() to delete
+    const allocatedTargets = () => [
+        ...Object.values(textures).flatMap(t => t.read ? [t.read, t.write] : [t]),
+        ...reduceLevels,
+        fineLevel.faces,
+        fineLevel.residual,
+        ...multigridLevels.slice(1).flatMap(level => [level.obstacles, level.faces, level.pressure.read,
+            level.pressure.write, level.rhs, level.residual])
+    ];
+
+    allocate();
+
+    // Solver passes read the obstacle mask from this texture unit, and the
+    // pressure passes their face fractions from the next
+    const OBSTACLE_UNIT = 2;
+    const FACES_UNIT = 3;
+
+    // Bind a program with the full-screen quad; returns a uniform setter
+    const useProgram = (program) => {
+        gl.useProgram(program);
+        gl.bindBuffer(gl.ARRAY_BUFFER, quadBuffer);
+        const posLoc = gl.getAttribLocation(program, 'a_position');
+        gl.enableVertexAttribArray(posLoc);
+        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+        return (name) => gl.getUniformLocation(program, name);
+    };
+
+    const bindTexture = (unit, texture) => {
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+    };
+
+    const blit = (target) => {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
+        gl.viewport(0, 0, target.width, target.height);
+        gl.drawArrays(gl.TRIANGLE_FAN, 0, 4);
+    };
+
+    const clearTarget = (target) => {
+        const u = useProgram(programs.clear);
+        gl.uniform4f(u('u_color'), 0, 0, 0, 1);
+        blit(target);
+    };
+
+    // Splats are round on the field's own grid of square cells
+    const splatInto = (field, x, y, color, radius) => {
+        const u = useProgram(programs.splat);
+        gl.uniform1i(u('u_texture'), 0);
+        gl.uniform2f(u('u_point'), x, y);
+        gl.uniform3f(u('u_color'), color[0], color[1], color[2]);
+        gl.uniform1f(u('u_radius'), radius);
+        gl.uniform1f(u('u_aspectRatio'), field.read.width / field.read.height);
+        bindTexture(0, field.read.texture);
+        blit(field.write);
+        field.swap();
+    };
+
+    // Semi-Lagrangian advection of field.read into target. The velocity is
+    // in simulation cells per second whatever grid the field is on.
+    const advect = (field, target, dt, dissipation) => {
+        const u = useProgram(programs.advection);
+        gl.uniform1i(u('u_velocity'), 0);
+        gl.uniform1i(u('u_source'), 1);
+        gl.uniform1i(u('u_obstacles'), OBSTACLE_UNIT);
+        gl.uniform2f(u('u_texelSize'), 1.0 / grid.width, 1.0 / grid.height);
+        gl.uniform1f(u('u_dt'), dt);
+        gl.uniform1f(u('u_dissipation'), dissipation);
+        bindTexture(0, textures.velocity.read.texture);
+        bindTexture(1, field.read.texture);
+        blit(target);
+    };
+
+    // Advect, then diffuse implicitly with Jacobi sweeps started from q*
+    const advectDiffuse = (field, source, dt, dissipation, alpha, neumann) => {
+        if (alpha <= 0) {
+            advect(field, field.write, dt, dissipation);
+            field.swap();
+            return;
+        }
+
+        advect(field, source, dt, dissipation);
+
+        const u = useProgram(programs.diffusion);
+        gl.uniform1i(u('u_field'), 0);
+        gl.uniform1i(u('u_source'), 1);
+        gl.uniform1i(u('u_obstacles'), OBSTACLE_UNIT);
+        gl.uniform2f(u('u_texelSize'), 1.0 / source.width, 1.0 / source.height);
+        gl.uniform1f(u('u_alpha'), alpha);
+        gl.uniform1f(u('u_neumann'), neumann ? 1.0 : 0.0);
+        bindTexture(1, source.texture);
+
+        const iterations = Math.max(1, params.diffusionIterations);
+        for (let i = 0; i < iterations; i++) {
+            bindTexture(0, i === 0 ? source.texture : field.read.texture);
+            blit(field.write);
+            field.swap();
+        }
+    };
+
+    const applyInlet = () => {
+        const u = useProgram(programs.inletVelocity);
+        gl.uniform1i(u('u_velocity'), 0);
+        gl.uniform2f(u('u_texelSize'), 1.0 / grid.width, 1.0 / grid.height);
+        gl.uniform1f(u('u_inlet'), getInletVelocity(params));
+        bindTexture(0, textures.velocity.read.texture);
+        blit(textures.velocity.write);
+        textures.velocity.swap();
+    };
+
+    const applyInletDye = () => {
+        const u = useProgram(programs.inletDye);
+        gl.uniform1i(u('u_dye'), 0);
+        gl.uniform2f(u('u_texelSize'), 1.0 / dyeGrid.width, 1.0 / dyeGrid.height);
+        gl.uniform1f(u('u_streakCount'), params.streakCount);
+        gl.uniform1f(u('u_streakWidth'), Math.max(params.streakWidth, 1.5 / dyeGrid.height));
+        bindTexture(0, textures.dye.read.texture);
+        blit(textures.dye.write);
+        textures.dye.swap();
+    };
+
+    // Heat sources (see buildHeatField) stay put when the fluid is cleared
+    let heatSources = [];
+
+    const applyBuoyancy = (dt) => {
+        const h = params.domainSize / params.resolution;
+        const u = useProgram(programs.buoyancy);
+        gl.uniform1i(u('u_velocity'), 0);
+        gl.uniform1i(u('u_temperature'), 1);
+        gl.uniform1i(u('u_dye'), 3);
+        gl.uniform1f(u('u_buoyancy'), params.buoyancy / h);
+        gl.uniform1f(u('u_smokeWeight'), params.smokeWeight / h);
+        gl.uniform1f(u('u_dt'), dt);
+        bindTexture(0, textures.velocity.read.texture);
+        bindTexture(1, textures.temperature.read.texture);
+        bindTexture(3, textures.dye.read.texture);
+        blit(textures.velocity.write);
+        textures.velocity.swap();
+    };
+
+    // Heat into the temperature and smoke, grey, into the dye
+    const applyHeatSources = (dt) => {
+        const u = useProgram(programs.addSource);
+        gl.uniform1i(u('u_field'), 0);
+        gl.uniform1i(u('u_heat'), 1);
+        bindTexture(1, textures.heat.texture);
+        for (const [field, select, target] of [
+            [textures.temperature, [1, 0], [dt, 0, 0, 0]],
+            [textures.dye, [0, 1], [dt, dt, dt, 0]]
+        ]) {
+            gl.uniform2fv(u('u_select'), select);
+            gl.uniform4fv(u('u_target'), target);
+            bindTexture(0, field.read.texture);
+            blit(field.write);
+            field.swap();
+        }
+    };
+
+    const computeDivergence = (target) => {
+        const u = useProgram(programs.divergence);
+        gl.uniform1i(u('u_velocity'), 0);
+        gl.uniform1i(u('u_obstacles'), OBSTACLE_UNIT);
+        gl.uniform2f(u('u_texelSize'), 1.0 / grid.width, 1.0 / grid.height);
+        bindTexture(0, textures.velocity.read.texture);
+        blit(target);
+    };
+
+    const readTarget = (target) => {
+        const data = new Float32Array(target.width * target.height * 4);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
+        gl.readPixels(0, 0, target.width, target.height, gl.RGBA, gl.FLOAT, data);
+        return { width: target.width, height: target.height, data };
+    };
+
+    const writeTarget = (target, field) => {
+        if (field.width !== target.width || field.height !== target.height) {
+            throw new Error(`Field must be ${target.width}x${target.height}, got ${field.width}x${field.height}`);
+        }
+        gl.bindTexture(gl.TEXTURE_2D, target.texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, target.width, target.height, 0, gl.RGBA, gl.FLOAT, field.data);
+    };
+
+    const readTexel = (target, i, j) => {
+        const data = new Float32Array(4);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
+        gl.readPixels(i, j, 1, 1, gl.RGBA, gl.FLOAT, data);
+        return data;
+    };
+
+    // Largest |(r, g)| over a simulation-sized target, read back as one texel
+    const reduceMax = (source) => {
+        const u = useProgram(programs.maxReduce);
+        gl.uniform1i(u('u_source'), 0);
+        reduceLevels.forEach((target, level) => {
+            gl.uniform2f(u('u_sourceSize'), source.width, source.height);
+            gl.uniform2f(u('u_targetSize'), target.width, target.height);
+            gl.uniform1f(u('u_magnitude'), level === 0 ? 1.0 : 0.0);
+            bindTexture(0, source.texture);
+            blit(target);
+            source = target;
+        });
+        return readTexel(source, 0, 0)[0];
+    };
+
+    const uploadMultigridGeometry = (obstacles) => {
+        buildMultigridGeometry(obstacles, multigridSizes).forEach((geometry, l) => {
+            const level = multigridLevels[l];
+            writeTarget(level.faces, geometry.faces);
+            if (l > 0) writeTarget(level.obstacles, geometry.solid);
+        });
+    };
+
+    // Sweeps of the pressure shader on one multigrid level toward ∇²p = rhs
+    const relax = (level, sweeps, weight) => {
+        const u = useProgram(programs.pressure);
+        gl.uniform1i(u('u_pressure'), 0);
+        gl.uniform1i(u('u_divergence'), 1);
+        gl.uniform1i(u('u_obstacles'), OBSTACLE_UNIT);
+        gl.uniform2f(u('u_texelSize'), 1.0 / level.width, 1.0 / level.height);
+        gl.uniform1f(u('u_outflow'), params.inletSpeed > 0 ? 1.0 : 0.0);
+        gl.uniform1f(u('u_outflowGhost'), level.ghost);
+        gl.uniform1f(u('u_weight'), weight);
+        gl.uniform1i(u('u_faces'), FACES_UNIT);
+        bindTexture(OBSTACLE_UNIT, level.obstacles.texture);
+        bindTexture(FACES_UNIT, level.faces.texture);
+        bindTexture(1, level.rhs.texture);
+        for (let i = 0; i < sweeps; i++) {
+            bindTexture(0, level.pressure.read.texture);
+            blit(level.pressure.write);
+            level.pressure.swap();
+        }
+    };
+
+    const computeResidual = (level) => {
+        const u = useProgram(programs.pressureResidual);
+        gl.uniform1i(u('u_pressure'), 0);
+        gl.uniform1i(u('u_divergence'), 1);
+        gl.uniform1i(u('u_obstacles'), OBSTACLE_UNIT);
+        gl.uniform2f(u('u_texelSize'), 1.0 / level.width, 1.0 / level.height);
+        gl.uniform1f(u('u_outflow'), params.inletSpeed > 0 ? 1.0 : 0.0);
+        gl.uniform1f(u('u_outflowGhost'), level.ghost);
+        gl.uniform1i(u('u_faces'), FACES_UNIT);
+        bindTexture(0, level.pressure.read.texture);
+        bindTexture(1, level.rhs.texture);
+        bindTexture(OBSTACLE_UNIT, level.obstacles.texture);
+        bindTexture(FACES_UNIT, level.faces.texture);
+        blit(level.residual);
+    };
+
+    // Smooth, solve for the error on the next coarser grid, correct, smooth
+    const vCycle = (l) => {
+        const level = multigridLevels[l];
+        if (l === multigridLevels.length - 1) {
+            relax(level, MULTIGRID_COARSE_SWEEPS, MULTIGRID_WEIGHT);
+            return;
+        }
+        relax(level, MULTIGRID_SMOOTHING, MULTIGRID_WEIGHT);
+        computeResidual(level);
+
+        // Cells twice as wide make the coarse Laplacian 4 times weaker
+        const coarse = multigridLevels[l + 1];
+        let u = useProgram(programs.restrict);
+        gl.uniform1i(u('u_source'), 0);
+        gl.uniform2f(u('u_sourceSize'), level.width, level.height);
+        gl.uniform2f(u('u_targetSize'), coarse.width, coarse.height);
+        gl.uniform1f(u('u_scale'), 4.0);
+        bindTexture(0, level.residual.texture);
+        blit(coarse.rhs);
+        clearTarget(coarse.pressure.read);
+        vCycle(l + 1);
+
+        u = useProgram(programs.prolong);
+        gl.uniform1i(u('u_pressure'), 0);
+        gl.uniform1i(u('u_correction'), 1);
+        gl.uniform1i(u('u_obstacles'), OBSTACLE_UNIT);
+        gl.uniform1i(u('u_coarseFaces'), FACES_UNIT);
+        gl.uniform2f(u('u_fineSize'), level.width, level.height);
+        gl.uniform2f(u('u_coarseSize'), coarse.width, coarse.height);
+        gl.uniform1f(u('u_outflow'), params.inletSpeed > 0 ? 1.0 : 0.0);
+        gl.uniform1f(u('u_outflowGhost'), coarse.ghost);
+        bindTexture(0, level.pressure.read.texture);
+        bindTexture(1, coarse.pressure.read.texture);
+        bindTexture(OBSTACLE_UNIT, level.obstacles.texture);
+        bindTexture(FACES_UNIT, coarse.faces.texture);
+        blit(level.pressure.write);
+        level.pressure.swap();
+        relax(level, MULTIGRID_SMOOTHING, MULTIGRID_WEIGHT);
+    };
+
+    // Pressure from the divergence, starting from zero each step
+    const solvePressure = () => {
+        clearTarget(textures.pressure.read);
+        if (params.pressureSolver === 'multigrid') {
+            for (let c = 0; c < params.multigridCycles; c++) vCycle(0);
+        } else {
+            relax(fineLevel, params.pressureIterations, 1.0);
+        }
+        bindTexture(OBSTACLE_UNIT, textures.obstacles.texture);
+    };
+
+    // Time step of the last step, which scales the stored pressure
+    let lastDt = 0;
+
+    const solver = {
+        backend: 'webgl',
+        params,
+
+        // Simulation grid size in cells
+        get grid() {
+            return { width: grid.width, height: grid.height };
+        },
+
+        step(dt) {
+            lastDt = dt;
+            const texelX = 1.0 / grid.width;
+            const texelY = 1.0 / grid.height;
+            const freeSlip = params.wallType === 'free-slip';
+            const windTunnel = params.inletSpeed > 0;
+            bindTexture(OBSTACLE_UNIT, textures.obstacles.texture);
+
+            // Confinement uses the curl texture left by the previous step
+            if (params.vorticityConfinement > 0) {
+                const u = useProgram(programs.vorticity);
+                gl.uniform1i(u('u_velocity'), 0);
+                gl.uniform1i(u('u_curl'), 1);
+                gl.uniform2f(u('u_texelSize'), texelX, texelY);
+                gl.uniform1f(u('u_confinement'), params.vorticityConfinement);
+                gl.uniform1f(u('u_dt'), dt);
+                bindTexture(0, textures.velocity.read.texture);
+                bindTexture(1, textures.curl.texture);
+                blit(textures.velocity.write);
+                textures.velocity.swap();
+            }
+            if (params.buoyancy !== 0 || params.smokeWeight !== 0) applyBuoyancy(dt);
+
+            advectDiffuse(textures.velocity, textures.velocitySource, dt, 1.0,
+                getDiffusionWeight(params.viscosity, dt, params, params.resolution), freeSlip);
+            advectDiffuse(textures.dye, textures.dyeSource, dt,
+                Math.exp(-params.dyeDissipation * dt),
+                getDiffusionWeight(params.dyeDiffusivity, dt, params, params.dyeResolution), true);
+            advectDiffuse(textures.temperature, textures.temperatureSource, dt,
+                Math.exp(-params.coolingRate * dt),
+                getDiffusionWeight(params.thermalDiffusivity, dt, params, params.resolution), true);
+            if (heatSources.length > 0) applyHeatSources(dt);
+
+            if (windTunnel) {
+                applyInlet();
+                if (params.streakCount > 0) applyInletDye();
+            }
+
+            computeDivergence(textures.divergence);
+            solvePressure();
+
+            let u = useProgram(programs.gradientSubtract);
+            gl.uniform1i(u('u_pressure'), 0);
+            gl.uniform1i(u('u_velocity'), 1);
+            gl.uniform1i(u('u_obstacles'), OBSTACLE_UNIT);
+            gl.uniform2f(u('u_texelSize'), texelX, texelY);
+            gl.uniform1f(u('u_noSlip'), freeSlip ? 0.0 : 1.0);
+            gl.uniform1f(u('u_outflow'), windTunnel ? 1.0 : 0.0);
+            bindTexture(0, textures.pressure.read.texture);
+            bindTexture(1, textures.velocity.read.texture);
+            blit(textures.velocity.write);
+            textures.velocity.swap();
+
+            // The projection must not change what the inlet blows in
+            if (windTunnel) applyInlet();
+
+            // Vorticity of the projected velocity, for display and analysis
+            u = useProgram(programs.curl);
+            gl.uniform1i(u('u_velocity'), 0);
+            gl.uniform2f(u('u_texelSize'), texelX, texelY);
+            bindTexture(0, textures.velocity.read.texture);
+            blit(textures.curl);
+        },
+
+        // Add a Gaussian impulse (dx, dy) to the velocity and color to the dye
+        // at (x, y) in [0, 1] texture coordinates
+        splat(x, y, dx, dy, color) {
+            splatInto(textures.velocity, x, y, [dx, dy, 0], params.velocitySplatRadius);
+            if (color) {
+                splatInto(textures.dye, x, y, color, params.dyeSplatRadius);
+            }
+        },
+
+        clear() {
+            for (const field of [textures.velocity, textures.pressure, textures.dye, textures.temperature]) {
+                clearTarget(field.read);
+                clearTarget(field.write);
+            }
+            clearTarget(textures.divergence);
+            clearTarget(textures.residual);
+            clearTarget(textures.curl);
+        },
+
+        // Reallocate every grid for { resolution, dyeResolution, aspectRatio }
+        // (missing ones keep their values) and carry the flow over, resampled
+        // onto the new cells (see RESAMPLED_FIELDS)
+        resize(options) {
+            const previous = { params: { ...params }, textures, targets: allocatedTargets() };
+            Object.assign(params, getResizeParams(params, options));
+            if (describeGrids(params) === describeGrids(previous.params)) return;
+
+            allocate();
+            solver.clear();
+            const cells = params.resolution / previous.params.resolution;
+            const u = useProgram(programs.resample);
+            gl.uniform1i(u('u_source'), 0);
+            for (const [name, scale] of Object.entries(RESAMPLED_FIELDS)) {
+                const from = previous.textures[name];
+                const to = textures[name];
+                gl.uniform4fv(u('u_scale'), scale(cells));
+                bindTexture(0, (from.read || from).texture);
+                blit(to.read || to);
+            }
+            previous.targets.forEach(deleteTarget);
+            uploadMultigridGeometry(readTarget(textures.obstacles));
+            solver.setHeatSources(heatSources);
+        },
+
+        // Replace the heat sources (see buildHeatField); [] removes them all
+        setHeatSources(sources) {
+            heatSources = sources.map(source => ({ ...source }));
+            writeTarget(textures.heat, buildHeatField(heatSources, grid.width, grid.height));
+        },
+
+        getHeatSources: () => heatSources.map(source => ({ ...source })),
+
+        // Replace the obstacle mask (see createObstacleMask); null removes all solids
+        setObstacles(mask) {
+            const { width: w, height: h } = grid;
+            const data = new Float32Array(w * h * 4);
+            for (let n = 3; n < data.length; n += 4) data[n] = 1;
+            if (mask) {
+                checkObstacleMask(mask, w, h);
+                for (let n = 0; n < mask.data.length; n++) {
+                    data[n * 4] = mask.data[n];
+                }
+            }
+            gl.bindTexture(gl.TEXTURE_2D, textures.obstacles.texture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, gl.FLOAT, data);
+            uploadMultigridGeometry({ width: w, height: h, data });
+        },
+
+        readVelocity: () => readTarget(textures.velocity.read),
+        readPressure: () => readTarget(textures.pressure.read),
+        readDivergence: () => readTarget(textures.divergence),
+        readCurl: () => readTarget(textures.curl),
+        readDye: () => readTarget(textures.dye.read),
+        readTemperature: () => readTarget(textures.temperature.read),
+
+        // Velocity, pressure and vorticity at the cell under (x, y) in [0, 1]
+        probe(x, y) {
+            const i = Math.min(Math.max(Math.floor(x * grid.width), 0), grid.width - 1);
+            const j = Math.min(Math.max(Math.floor(y * grid.height), 0), grid.height - 1);
+            return toProbeReading(
+                readTexel(textures.velocity.read, i, j),
+                readTexel(textures.pressure.read, i, j)[0],
+                readTexel(textures.curl, i, j)[0],
+                params, lastDt);
+        },
+
+        // Time step of the last step, which scales the stored pressure
+        get lastDt() {
+            return lastDt;
+        },
+
+        // Global diagnostics of the current state (see measureFields)
+        diagnostics() {
+            bindTexture(OBSTACLE_UNIT, textures.obstacles.texture);
+            computeDivergence(textures.residual);
+            return measureFields(readTarget(textures.velocity.read), readTarget(textures.curl),
+                readTarget(textures.residual), readTarget(textures.dye.read), params);
+        },
+
+        // Largest |velocity| in cells per second; times Δt this is the CFL number
+        maxCellSpeed: () => reduceMax(textures.velocity.read),
+
+        // Cost and accuracy of pressure solver settings (see benchmarkPressureSolvers)
+        benchmarkPressure(settingsList, repeats = 5) {
+            return benchmarkPressureSolvers(params, settingsList, repeats, {
+                solvePressure,
+                // A one-texel read waits for the queued passes to finish
+                sync: () => readTexel(textures.pressure.read, 0, 0),
+                residual: () => {
+                    computeResidual(fineLevel);
+                    bindTexture(OBSTACLE_UNIT, textures.obstacles.texture);
+                    const divergence = reduceMax(textures.divergence);
+                    return divergence > 0 ? reduceMax(fineLevel.residual) / divergence : 0;
+                }
+            });
+        },
+
+        // Params and every field as { width, height, data }, for snapshots
+        getState() {
+            const fields = {};
+            for (const name of STATE_FIELDS) {
+                const field = textures[name];
+                fields[name] = readTarget(field.read || field);
+            }
+            return { params: { ...params }, fields, heatSources: solver.getHeatSources() };
+        },
+
+        // Fields missing from older states start cleared
+        setState(state) {
+            checkStateResolution(state, params);
+            Object.assign(params, state.params);
+            for (const name of STATE_FIELDS) {
+                const field = textures[name];
+                if (state.fields[name]) {
+                    writeTarget(field.read || field, state.fields[name]);
+                } else {
+                    clearTarget(field.read || field);
+                }
+            }
+            uploadMultigridGeometry(state.fields.obstacles);
+            solver.setHeatSources(state.heatSources || []);
+        },
+
+        // Rendering hooks for pages that draw the fields themselves
+        getTexture(name) {
+            const field = textures[name];
+            return field.read ? field.read.texture : field.texture;
+        },
+
+        createProgram,
+
+        // Draw a texture to the default framebuffer with a display program
+        // that reads it as u_texture (and the obstacle mask as u_obstacles)
+        drawTexture(program, texture, width, height) {
+            const u = useProgram(program);
+            gl.uniform1i(u('u_texture'), 0);
+            gl.uniform1i(u('u_obstacles'), 1);
+            bindTexture(0, texture);
+            bindTexture(1, textures.obstacles.texture);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            gl.viewport(0, 0, width, height);
+            gl.drawArrays(gl.TRIANGLE_FAN, 0, 4);
+        }
+    };
+
+    solver.clear();
+    solver.setObstacles(null);
+    solver.setHeatSources([]);
+    return solver;
+}
+
+// ---------------------------------------------------------------------------
+// Obstacle masks: one value per simulation texel, 1 = solid, row 0 at the
+// bottom. Shapes are placed in [0, 1] texture coordinates; sizes are
+// fractions of the domain height, like the splat radius.
+// ---------------------------------------------------------------------------
+
+// A mask for a width × height simulation grid (solver.grid)
+function createObstacleMask(width, height = width) {
+    return { width, height, data: new Float32Array(width * height) };
+}
+
+function checkObstacleMask(mask, width, height) {
+    if (mask.width !== width || mask.height !== height) {
+        throw new Error(`Obstacle mask must be ${width}x${height}, got ${mask.width}x${mask.height}`);
+    }
+}
+
+// The mask on a grid of another size, taking the nearest cell
+function resampleObstacleMask(mask, width, height) {
+    const out = createObstacleMask(width, height);
+    for (let j = 0; j < height; j++) {
+        const sj = Math.min(Math.floor((j + 0.5) * mask.height / height), mask.height - 1);
+        for (let i = 0; i < width; i++) {
+            const si = Math.min(Math.floor((i + 0.5) * mask.width / width), mask.width - 1);
+            out.data[j * width + i] = mask.data[sj * mask.width + si];
+        }
+    }
+    return out;
+}
+
+// Is the point (px, py), relative to the shape center and already scaled
+// by the aspect ratio, inside the shape?
+function insideObstacleShape(shape, px, py) {
+    switch (shape.type) {
+        case 'circle':
+            return px * px + py * py <= shape.radius * shape.radius;
+
+        case 'rect':
+            return Math.abs(px) <= shape.width / 2 && Math.abs(py) <= shape.height / 2;
+
+        case 'airfoil': {
+            // Symmetric NACA 4-digit section centered on mid-chord, pitched
+            // nose-up by shape.angle (radians) for a flow along +x
+            const cos = Math.cos(shape.angle || 0);
+            const sin = Math.sin(shape.angle || 0);
+            const x = px * cos - py * sin;
+            const y = px * sin + py * cos;
+            const xi = x / shape.chord + 0.5;
+            if (xi < 0 || xi > 1) return false;
+            const t = shape.thickness || 0.12;
+            const halfThickness = 5 * t * shape.chord * (0.2969 * Math.sqrt(xi) - 0.1260 * xi -
+                0.3516 * xi * xi + 0.2843 * xi * xi * xi - 0.1015 * xi * xi * xi * xi);
+            return Math.abs(y) <= halfThickness;
+        }
+    }
+    return false;
+}
+
+// Stamp a shape { type: 'circle' | 'rect' | 'airfoil', x, y, ... } into the
+// mask. shape.value (default 1) is written inside it, so 0 erases.
+function addObstacleShape(mask, shape, aspectRatio = mask.width / mask.height) {
+    const value = shape.value === undefined ? 1 : shape.value;
+    for (let j = 0; j < mask.height; j++) {
+        for (let i = 0; i < mask.width; i++) {
+            const px = ((i + 0.5) / mask.width - shape.x) * aspectRatio;
+            const py = (j + 0.5) / mask.height - shape.y;
+            if (insideObstacleShape(shape, px, py)) {
+                mask.data[j * mask.width + i] = value;
+            }
+        }
+    }
+    return mask;
+}
+
+// ---------------------------------------------------------------------------
+// CPU backend: the same passes as the shaders above, one texel at a time
+// ---------------------------------------------------------------------------
+
+function createField(w, h) {
+    const data = new Float32Array(w * h * 4);
+    // Cleared textures are (0, 0, 0, 1)
+    for (let i = 3; i < data.length; i += 4) data[i] = 1;
+    return { width: w, height: h, data };
+}
+
+function createDoubleField(w, h) {
+    return {
+        read: createField(w, h),
+        write: createField(w, h),
+        swap() {
+            const temp = this.read;
+            this.read = this.write;
+            this.write = temp;
+        }
+    };
+}
+
+// Bilinear texture lookup with clamp-to-edge, like texture2D on a LINEAR texture.
+// Writes the 4 channels into out.
+function sampleField(field, u, v, out) {
+    const { width: w, height: h, data } = field;
+    const x = Math.min(Math.max(u * w - 0.5, 0), w - 1);
+    const y = Math.min(Math.max(v * h - 0.5, 0), h - 1);
+    const i0 = Math.floor(x);
+    const j0 = Math.floor(y);
+    const i1 = Math.min(i0 + 1, w - 1);
+    const j1 = Math.min(j0 + 1, h - 1);
+    const fx = x - i0;
+    const fy = y - j0;
+
+    const a = (j0 * w + i0) * 4;
+    const b = (j0 * w + i1) * 4;
+    const c = (j1 * w + i0) * 4;
+    const d = (j1 * w + i1) * 4;
+    for (let k = 0; k < 4; k++) {
+        const bottom = data[a + k] + (data[b + k] - data[a + k]) * fx;
+        const top = data[c + k] + (data[d + k] - data[c + k]) * fx;
+        out[k] = bottom + (top - bottom) * fy;
+    }
+    return out;
+}
+
+// Channel k of texel (i, j), clamped to the edge
+function fetchField(field, i, j, k) {
+    const w = field.width;
+    const h = field.height;
+    i = i < 0 ? 0 : (i >= w ? w - 1 : i);
+    j = j < 0 ? 0 : (j >= h ? h - 1 : j);
+    return field.data[(j * w + i) * 4 + k];
+}
+
+// A field bilinearly resampled onto a width × height grid, channel by
+// channel times scale (the resample shader)
+function resampleField(field, width, height, scale) {
+    const out = createField(width, height);
+    const texel = [0, 0, 0, 0];
+    for (let j = 0; j < height; j++) {
+        for (let i = 0; i < width; i++) {
+            sampleField(field, (i + 0.5) / width, (j + 0.5) / height, texel);
+            const n = (j * width + i) * 4;
+            for (let k = 0; k < 4; k++) out.data[n + k] = scale[k] * texel[k];
+        }
+    }
+    return out;
+}
+
+function createCPUSolver(params) {
+    let grid, dyeGrid, fields;
+    const texel = [0, 0, 0, 0];
+    const maskSample = [0, 0, 0, 0];
+
+    // Fresh fields on the grids params ask for
+    const allocate = () => {
+        grid = getGridSize(params.resolution, params.aspectRatio);
+        dyeGrid = getGridSize(params.dyeResolution, params.aspectRatio);
+        const { width: w, height: h } = grid;
+        fields = {
+            velocity: createDoubleField(w, h),
+            pressure: createDoubleField(w, h),
+            divergence: createField(w, h),
+            residual: createField(w, h),
+            curl: createField(w, h),
+            dye: createDoubleField(dyeGrid.width, dyeGrid.height),
+            temperature: createDoubleField(w, h),
+            heat: createField(w, h),
+            obstacles: createField(w, h),
+            velocitySource: createField(w, h),
+            dyeSource: createField(dyeGrid.width, dyeGrid.height),
+            temperatureSource: createField(w, h)
+        };
+    };
+    allocate();
+    let heatSources = [];
+
+    // step(0.5, mask) at a texture coordinate, or at a simulation texel
+    const solidAt = (u, v) => sampleField(fields.obstacles, u, v, maskSample)[0] >= 0.5 ? 1 : 0;
+    const solidCell = (i, j) => fetchField(fields.obstacles, i, j, 0) >= 0.5 ? 1 : 0;
+
+    // Splats are round on the field's own grid of square cells
+    const splatInto = (field, x, y, color, radius) => {
+        const src = field.read;
+        const dst = field.write;
+        const { width: w, height: h } = src;
+
+        for (let j = 0; j < h; j++) {
+            for (let i = 0; i < w; i++) {
+                const px = ((i + 0.5) / w - x) * (w / h);
+                const py = (j + 0.5) / h - y;
+                const splash = Math.exp(-(px * px + py * py) / radius);
+                const n = (j * w + i) * 4;
+                dst.data[n] = src.data[n] + splash * color[0];
+                dst.data[n + 1] = src.data[n + 1] + splash * color[1];
+                dst.data[n + 2] = src.data[n + 2] + splash * color[2];
+                dst.data[n + 3] = 1;
+            }
+        }
+        field.swap();
+    };
+
+    // The velocity is in simulation cells per second whatever grid the
+    // field is on
+    const advect = (field, target, dt, dissipation) => {
+        const velocity = fields.velocity.read;
+        const src = field.read;
+        const { width: w, height: h } = src;
+
+        for (let j = 0; j < h; j++) {
+            for (let i = 0; i < w; i++) {
+                const u = (i + 0.5) / w;
+                const v = (j + 0.5) / h;
+                const fluid = 1 - solidAt(u, v);
+                sampleField(velocity, u, v, texel);
+                sampleField(src, u - dt * texel[0] / grid.width, v - dt * texel[1] / grid.height, texel);
+                const n = (j * w + i) * 4;
+                for (let k = 0; k < 4; k++) {
+                    target.data[n + k] = fluid * dissipation * texel[k];
+                }
+            }
+        }
+    };
+
+    const advectDiffuse = (field, source, dt, dissipation, alpha, neumann) => {
+        if (alpha <= 0) {
+            advect(field, field.write, dt, dissipation);
+            field.swap();
+            return;
+        }
+
+        advect(field, source, dt, dissipation);
+
+        const { width: w, height: h } = source;
+        const iterations = Math.max(1, params.diffusionIterations);
+        for (let iter = 0; iter < iterations; iter++) {
+            const q = iter === 0 ? source : field.read;
+            const dst = field.write;
+            for (let j = 0; j < h; j++) {
+                for (let i = 0; i < w; i++) {
+                    const n = (j * w + i) * 4;
+                    const u = (i + 0.5) / w;
+                    const v = (j + 0.5) / h;
+                    const oL = solidAt(u - 1 / w, v);
+                    const oR = solidAt(u + 1 / w, v);
+                    const oB = solidAt(u, v - 1 / h);
+                    const oT = solidAt(u, v + 1 / h);
+                    const fluid = 1 - solidAt(u, v);
+                    for (let k = 0; k < 4; k++) {
+                        const wall = neumann ? q.data[n + k] : 0;
+                        const neighbours =
+                            (oL ? wall : fetchField(q, i - 1, j, k)) + (oR ? wall : fetchField(q, i + 1, j, k)) +
+                            (oB ? wall : fetchField(q, i, j - 1, k)) + (oT ? wall : fetchField(q, i, j + 1, k));
+                        dst.data[n + k] = fluid * (source.data[n + k] + alpha * neighbours) / (1 + 4 * alpha);
+                    }
+                }
+            }
+            field.swap();
+        }
+    };
+
+    // Write a scalar into the red channel of texel n, like vec4(value, 0, 0, 1)
+    const writeScalar = (field, n, value) => {
+        field.data[n] = value;
+        field.data[n + 1] = 0;
+        field.data[n + 2] = 0;
+        field.data[n + 3] = 1;
+    };
+
+    const computeDivergence = (target) => {
+        const vel = fields.velocity.read;
+        const { width: w, height: h } = grid;
+        for (let j = 0; j < h; j++) {
+            for (let i = 0; i < w; i++) {
+                const n = (j * w + i) * 4;
+                const cx = vel.data[n];
+                const cy = vel.data[n + 1];
+                const L = solidCell(i - 1, j) ? -cx : fetchField(vel, i - 1, j, 0);
+                const R = solidCell(i + 1, j) ? -cx : fetchField(vel, i + 1, j, 0);
+                const B = solidCell(i, j - 1) ? -cy : fetchField(vel, i, j - 1, 1);
+                const T = solidCell(i, j + 1) ? -cy : fetchField(vel, i, j + 1, 1);
+                writeScalar(target, n, (1 - solidCell(i, j)) * 0.5 * (R - L + T - B));
+            }
+        }
+    };
+
+    // Pressure at a neighbour, the center value behind a wall, or zero past
+    // an outflow right edge
+    const pressureAt = (p, i, j, center) => {
+        const value = solidCell(i, j) ? center : fetchField(p, i, j, 0);
+        return i >= grid.width && params.inletSpeed > 0 ? 0 : value;
+    };
+
+    // Pressure solve levels as in the WebGL backend. The simulation grid's
+    // level is assembled from the current fields, which clear() replaces.
+    let multigridSizes, fineFaces, fineResidual, coarseLevels;
+    const allocateMultigrid = () => {
+        const { width: w, height: h } = grid;
+        multigridSizes = getMultigridSizes(w, h);
+        fineFaces = createField(w, h);
+        fineResidual = createField(w, h);
+        coarseLevels = multigridSizes.slice(1).map(({ width, height }) => ({
+            width,
+            height,
+            ghost: getOutflowGhost(w, width),
+            obstacles: createField(width, height),
+            faces: createField(width, height),
+            pressure: createDoubleField(width, height),
+            rhs: createField(width, height),
+            residual: createField(width, height)
+        }));
+    };
+    const getMultigridLevels = () => [{
+        width: grid.width,
+        height: grid.height,
+        ghost: 0,
+        obstacles: fields.obstacles,
+        faces: fineFaces,
+        pressure: fields.pressure,
+        rhs: fields.divergence,
+        residual: fineResidual
+    }, ...coarseLevels];
+
+    const updateMultigridGeometry = () => {
+        buildMultigridGeometry(fields.obstacles, multigridSizes).forEach((geometry, l) => {
+            if (l === 0) {
+                fineFaces.data.set(geometry.faces.data);
+            } else {
+                coarseLevels[l - 1].faces.data.set(geometry.faces.data);
+                coarseLevels[l - 1].obstacles.data.set(geometry.solid.data);
+            }
+        });
+    };
+    allocateMultigrid();
+    updateMultigridGeometry();
+
+    const clearField = (field) => {
+        field.data.fill(0);
+        for (let n = 3; n < field.data.length; n += 4) field.data[n] = 1;
+    };
+
+    // Sum of the four neighbours' pressure on a level, each blended toward
+    // the center value by how closed its face is (the pressure shader's mix)
+    const neighbourSum = (level, p, i, j, P) => {
+        const open = level.faces.data;
+        const n = (j * level.width + i) * 4;
+        const across = (value, a) => P * (1 - a) + value * a;
+        const R = i + 1 >= level.width && params.inletSpeed > 0
+            ? level.ghost * P
+            : across(fetchField(p, i + 1, j, 0), open[n + 1]);
+        return across(fetchField(p, i - 1, j, 0), open[n]) + R +
+            across(fetchField(p, i, j - 1, 0), open[n + 2]) + across(fetchField(p, i, j + 1, 0), open[n + 3]);
+    };
+
+    const relax = (level, sweeps, weight) => {
+        const { width, height, obstacles, rhs } = level;
+        for (let iter = 0; iter < sweeps; iter++) {
+            const p = level.pressure.read;
+            for (let j = 0; j < height; j++) {
+                for (let i = 0; i < width; i++) {
+                    const n = (j * width + i) * 4;
+                    const P = p.data[n];
+                    const value = (neighbourSum(level, p, i, j, P) - rhs.data[n]) * 0.25;
+                    const fluid = obstacles.data[n] >= 0.5 ? 0 : 1;
+                    writeScalar(level.pressure.write, n, P * (1 - weight) + fluid * value * weight);
+                }
+            }
+            level.pressure.swap();
+        }
+    };
+
+    const computeResidual = (level) => {
+        const { width, height, obstacles, rhs } = level;
+        const p = level.pressure.read;
+        for (let j = 0; j < height; j++) {
+            for (let i = 0; i < width; i++) {
+                const n = (j * width + i) * 4;
+                const P = p.data[n];
+                const laplacian = neighbourSum(level, p, i, j, P) - 4 * P;
+                const fluid = obstacles.data[n] >= 0.5 ? 0 : 1;
+                writeScalar(level.residual, n, fluid * (rhs.data[n] - laplacian));
+            }
+        }
+    };
+
+    const vCycle = (levels, l) => {
+        const level = levels[l];
+        if (l === levels.length - 1) {
+            relax(level, MULTIGRID_COARSE_SWEEPS, MULTIGRID_WEIGHT);
+            return;
+        }
+        relax(level, MULTIGRID_SMOOTHING, MULTIGRID_WEIGHT);
+        computeResidual(level);
+
+        const coarse = levels[l + 1];
+        for (let j = 0; j < coarse.height; j++) {
+            for (let i = 0; i < coarse.width; i++) {
+                let sum = 0;
+                for (let a = 0; a < 2; a++) {
+                    for (let b = 0; b < 2; b++) {
+                        sum += fetchField(level.residual, Math.min(2 * i + a, level.width - 1),
+                            Math.min(2 * j + b, level.height - 1), 0);
+                    }
+                }
+                // The mean of the 2×2 residuals, times 4 for the wider coarse cells
+                writeScalar(coarse.rhs, (j * coarse.width + i) * 4, sum);
+            }
+        }
+        clearField(coarse.pressure.read);
+        vCycle(levels, l + 1);
+
+        const p = level.pressure.read;
+        const e = coarse.pressure.read;
+        const open = coarse.faces.data;
+        const outflow = params.inletSpeed > 0;
+        const across = (from, to, a) => from * (1 - a) + to * a;
+        const coarseAt = (I, J) => outflow && I >= coarse.width
+            ? coarse.ghost * fetchField(e, coarse.width - 1, J, 0)
+            : fetchField(e, I, J, 0);
+        for (let j = 0; j < level.height; j++) {
+            for (let i = 0; i < level.width; i++) {
+                const n = (j * level.width + i) * 4;
+                const fluid = level.obstacles.data[n] >= 0.5 ? 0 : 1;
+                const I = i >> 1;
+                const J = j >> 1;
+                const sx = i % 2 ? 1 : -1;
+                const sy = j % 2 ? 1 : -1;
+                const m = (J * coarse.width + I) * 4;
+                const E = e.data[m];
+                const ax = outflow && I + sx >= coarse.width ? 1 : open[m + (sx > 0 ? 1 : 0)];
+                const ay = open[m + (sy > 0 ? 3 : 2)];
+                const correction = (9 * E + 3 * across(E, coarseAt(I + sx, J), ax) +
+                    3 * across(E, coarseAt(I, J + sy), ay) + across(E, coarseAt(I + sx, J + sy), ax * ay)) / 16;
+                writeScalar(level.pressure.write, n, p.data[n] + fluid * correction);
+            }
+        }
+        level.pressure.swap();
+        relax(level, MULTIGRID_SMOOTHING, MULTIGRID_WEIGHT);
+    };
+
+    const solvePressure = () => {
+        clearField(fields.pressure.read);
+        const levels = getMultigridLevels();
+        if (params.pressureSolver === 'multigrid') {
+            for (let c = 0; c < params.multigridCycles; c++) vCycle(levels, 0);
+        } else {
+            relax(levels[0], params.pressureIterations, 1.0);
+        }
+    };
+
+    const subtractGradient = () => {
+        const p = fields.pressure.read;
+        const src = fields.velocity.read;
+        const dst = fields.velocity.write;
+        const noSlip = params.wallType !== 'free-slip';
+        const { width: w, height: h } = grid;
+        for (let j = 0; j < h; j++) {
+            for (let i = 0; i < w; i++) {
+                const n = (j * w + i) * 4;
+                const P = p.data[n];
+                let vx = src.data[n] - 0.5 * (pressureAt(p, i + 1, j, P) - pressureAt(p, i - 1, j, P));
+                let vy = src.data[n + 1] - 0.5 * (pressureAt(p, i, j + 1, P) - pressureAt(p, i, j - 1, P));
+
+                const wallX = Math.max(solidCell(i - 1, j), solidCell(i + 1, j));
+                const wallY = Math.max(solidCell(i, j - 1), solidCell(i, j + 1));
+                const wall = Math.max(wallX, wallY);
+                const fluid = 1 - solidCell(i, j);
+                vx *= (noSlip ? 1 - wall : 1 - wallX) * fluid;
+                vy *= (noSlip ? 1 - wall : 1 - wallY) * fluid;
+
+                dst.data[n] = vx;
+                dst.data[n + 1] = vy;
+                dst.data[n + 2] = 0;
+                dst.data[n + 3] = 1;
+            }
+        }
+        fields.velocity.swap();
+    };
+
+    const applyInlet = () => {
+        const vel = fields.velocity.read;
+        const inlet = getInletVelocity(params);
+        for (let j = 0; j < grid.height; j++) {
+            const n = j * grid.width * 4;
+            vel.data[n] = inlet;
+            vel.data[n + 1] = 0;
+            vel.data[n + 2] = 0;
+            vel.data[n + 3] = 1;
+        }
+    };
+
+    const applyInletDye = () => {
+        const dye = fields.dye.read;
+        const count = params.streakCount;
+        const width = Math.max(params.streakWidth, 1.5 / dyeGrid.height);
+        for (let j = 0; j < dyeGrid.height; j++) {
+            const v = (j + 0.5) / dyeGrid.height;
+            const k = Math.floor(v * count);
+            const inside = Math.abs(v - (k + 0.5) / count) <= 0.5 * width ? 1 : 0;
+            const color = getStreakColor(k, count);
+            const n = j * dyeGrid.width * 4;
+            dye.data[n] = inside * color[0];
+            dye.data[n + 1] = inside * color[1];
+            dye.data[n + 2] = inside * color[2];
+            dye.data[n + 3] = 1;
+        }
+    };
+
+    const computeCurl = () => {
+        const vel = fields.velocity.read;
+        const { width: w, height: h } = grid;
+        for (let j = 0; j < h; j++) {
+            for (let i = 0; i < w; i++) {
+                const curl = (fetchField(vel, i + 1, j, 1) - fetchField(vel, i - 1, j, 1)) -
+                    (fetchField(vel, i, j + 1, 0) - fetchField(vel, i, j - 1, 0));
+                writeScalar(fields.curl, (j * w + i) * 4, curl * 0.5);
+            }
+        }
+    };
+
+    const applyBuoyancy = (dt) => {
+        const h = params.domainSize / params.resolution;
+        const buoyancy = params.buoyancy / h;
+        const smokeWeight = params.smokeWeight / h;
+        const src = fields.velocity.read;
+        const dst = fields.velocity.write;
+        const { width: w, height: ht } = grid;
+        for (let j = 0; j < ht; j++) {
+            for (let i = 0; i < w; i++) {
+                const n = (j * w + i) * 4;
+                sampleField(fields.dye.read, (i + 0.5) / w, (j + 0.5) / ht, texel);
+                const smoke = (texel[0] + texel[1] + texel[2]) / 3;
+                const T = fields.temperature.read.data[n];
+                dst.data[n] = src.data[n];
+                dst.data[n + 1] = src.data[n + 1] + dt * (buoyancy * T - smokeWeight * smoke);
+                dst.data[n + 2] = src.data[n + 2];
+                dst.data[n + 3] = src.data[n + 3];
+            }
+        }
+        fields.velocity.swap();
+    };
+
+    const applyHeatSources = (dt) => {
+        const temperature = fields.temperature.read.data;
+        const heat = fields.heat.data;
+        for (let n = 0; n < temperature.length; n += 4) temperature[n] += dt * heat[n];
+
+        const dye = fields.dye.read;
+        const { width: w, height: h } = dye;
+        for (let j = 0; j < h; j++) {
+            for (let i = 0; i < w; i++) {
+                const smoke = dt * sampleField(fields.heat, (i + 0.5) / w, (j + 0.5) / h, texel)[1];
+                const n = (j * w + i) * 4;
+                dye.data[n] += smoke;
+                dye.data[n + 1] += smoke;
+                dye.data[n + 2] += smoke;
+            }
+        }
+    };
+
+    const confineVorticity = (dt) => {
+        const curl = fields.curl;
+        const src = fields.velocity.read;
+        const dst = fields.velocity.write;
+        const { width: w, height: h } = grid;
+        for (let j = 0; j < h; j++) {
+            for (let i = 0; i < w; i++) {
+                const n = (j * w + i) * 4;
+                let nx = 0.5 * (Math.abs(fetchField(curl, i + 1, j, 0)) - Math.abs(fetchField(curl, i - 1, j, 0)));
+                let ny = 0.5 * (Math.abs(fetchField(curl, i, j + 1, 0)) - Math.abs(fetchField(curl, i, j - 1, 0)));
+                const length = Math.sqrt(nx * nx + ny * ny) + 1e-5;
+                nx /= length;
+                ny /= length;
+                const strength = params.vorticityConfinement * curl.data[n];
+                dst.data[n] = src.data[n] + strength * ny * dt;
+                dst.data[n + 1] = src.data[n + 1] - strength * nx * dt;
+                dst.data[n + 2] = 0;
+                dst.data[n + 3] = 1;
+            }
+        }
+        fields.velocity.swap();
+    };
+
+    const copyField = (field) => ({
+        width: field.width,
+        height: field.height,
+        data: field.data.slice()
+    });
+
+    let lastDt = 0;
+
+    const solver = {
+        backend: 'cpu',
+        params,
+
+        get grid() {
+            return { width: grid.width, height: grid.height };
+        },
+
+        step(dt) {
+            lastDt = dt;
+            if (params.vorticityConfinement > 0) confineVorticity(dt);
+            if (params.buoyancy !== 0 || params.smokeWeight !== 0) applyBuoyancy(dt);
+            advectDiffuse(fields.velocity, fields.velocitySource, dt, 1.0,
+                getDiffusionWeight(params.viscosity, dt, params, params.resolution),
+                params.wallType === 'free-slip');
+            advectDiffuse(fields.dye, fields.dyeSource, dt,
+                Math.exp(-params.dyeDissipation * dt),
+                getDiffusionWeight(params.dyeDiffusivity, dt, params, params.dyeResolution), true);
+            advectDiffuse(fields.temperature, fields.temperatureSource, dt,
+                Math.exp(-params.coolingRate * dt),
+                getDiffusionWeight(params.thermalDiffusivity, dt, params, params.resolution), true);
+            if (heatSources.length > 0) applyHeatSources(dt);
+            const windTunnel = params.inletSpeed > 0;
+            if (windTunnel) {
+                applyInlet();
+                if (params.streakCount > 0) applyInletDye();
+            }
+            computeDivergence(fields.divergence);
+            solvePressure();
+            subtractGradient();
+            if (windTunnel) applyInlet();
+            computeCurl();
+        },
+
+        splat(x, y, dx, dy, color) {
+            splatInto(fields.velocity, x, y, [dx, dy, 0], params.velocitySplatRadius);
+            if (color) {
+                splatInto(fields.dye, x, y, color, params.dyeSplatRadius);
+            }
+        },
+
+        clear() {
+            const { width: w, height: h } = grid;
+            fields.velocity = createDoubleField(w, h);
+            fields.pressure = createDoubleField(w, h);
+            fields.divergence = createField(w, h);
+            fields.residual = createField(w, h);
+            fields.curl = createField(w, h);
+            fields.dye = createDoubleField(dyeGrid.width, dyeGrid.height);
+            fields.temperature = createDoubleField(w, h);
+        },
+
+        resize(options) {
+            const previous = { params: { ...params }, fields };
+            Object.assign(params, getResizeParams(params, options));
+            if (describeGrids(params) === describeGrids(previous.params)) return;
+
+            allocate();
+            const cells = params.resolution / previous.params.resolution;
+            for (const [name, scale] of Object.entries(RESAMPLED_FIELDS)) {
+                const from = previous.fields[name];
+                const to = fields[name].read || fields[name];
+                to.data.set(resampleField(from.read || from, to.width, to.height, scale(cells)).data);
+            }
+            allocateMultigrid();
+            updateMultigridGeometry();
+            solver.setHeatSources(heatSources);
+        },
+
+        setHeatSources(sources) {
+            heatSources = sources.map(source => ({ ...source }));
+            fields.heat = buildHeatField(heatSources, grid.width, grid.height);
+        },
+
+        getHeatSources: () => heatSources.map(source => ({ ...source })),
+
+        setObstacles(mask) {
+            fields.obstacles = createField(grid.width, grid.height);
+            if (mask) {
+                checkObstacleMask(mask, grid.width, grid.height);
+                for (let n = 0; n < mask.data.length; n++) {
+                    fields.obstacles.data[n * 4] = mask.data[n];
+                }
+            }
+            updateMultigridGeometry();
+        },
+
+        readVelocity: () => copyField(fields.velocity.read),
+        readPressure: () => copyField(fields.pressure.read),
+        readDivergence: () => copyField(fields.divergence),
+        readCurl: () => copyField(fields.curl),
+        readDye: () => copyField(fields.dye.read),
+        readTemperature: () => copyField(fields.temperature.read),
+
+        probe(x, y) {
+            const i = Math.min(Math.max(Math.floor(x * grid.width), 0), grid.width - 1);
+            const j = Math.min(Math.max(Math.floor(y * grid.height), 0), grid.height - 1);
+            const n = (j * grid.width + i) * 4;
+            return toProbeReading(fields.velocity.read.data.subarray(n, n + 2),
+                fields.pressure.read.data[n], fields.curl.data[n], params, lastDt);
+        },
+
+        get lastDt() {
+            return lastDt;
+        },
+
+        diagnostics() {
+            computeDivergence(fields.residual);
+            return measureFields(fields.velocity.read, fields.curl, fields.residual, fields.dye.read, params);
+        },
+
+        maxCellSpeed() {
+            const data = fields.velocity.read.data;
+            let max = 0;
+            for (let n = 0; n < data.length; n += 4) {
+                max = Math.max(max, Math.hypot(data[n], data[n + 1]));
+            }
+            return max;
+        },
+
+        benchmarkPressure(settingsList, repeats = 5) {
+            const maxAbs = (field) => field.data.reduce((max, value, n) => n % 4 ? max : Math.max(max, Math.abs(value)), 0);
+            return benchmarkPressureSolvers(params, settingsList, repeats, {
+                solvePressure,
+                sync: () => {},
+                residual: () => {
+                    const fine = getMultigridLevels()[0];
+                    computeResidual(fine);
+                    const divergence = maxAbs(fields.divergence);
+                    return divergence > 0 ? maxAbs(fine.residual) / divergence : 0;
+                }
+            });
+        },
+
+        getState() {
+            const state = {};
+            for (const name of STATE_FIELDS) {
+                state[name] = copyField(fields[name].read || fields[name]);
+            }
+            return { params: { ...params }, fields: state, heatSources: solver.getHeatSources() };
+        },
+
+        setState(state) {
+            checkStateResolution(state, params);
+            Object.assign(params, state.params);
+            for (const name of STATE_FIELDS) {
+                const target = fields[name].read || fields[name];
+                const field = state.fields[name];
+                if (!field) {
+                    clearField(target);
+                    continue;
+                }
+                if (field.width !== target.width || field.height !== target.height) {
+                    throw new Error(`Field must be ${target.width}x${target.height}, got ${field.width}x${field.height}`);
+                }
+                target.data.set(field.data);
+            }
+            updateMultigridGeometry();
+            solver.setHeatSources(state.heatSources || []);
+        }
+    };
+    return solver;
+}
+
+// Allow headless use from Node: const { createSolver } = require('./js/fluid-solver.js')
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createSolver, sampleField, createObstacleMask, addObstacleShape, resampleObstacleMask, getGridSize,
+        getInletVelocity, getFieldScales
+    };
+}
@@ -0,0 +1,578 @@
+/**
+ * Smoke Solver
+ * Stable Fluids on a 3D voxel grid for the smoke demo: semi-Lagrangian
+ * advection, buoyancy from smoke density and temperature, vorticity
+ * confinement and a Jacobi pressure projection, on plain Float32Arrays.
+ * Smoke comes from emitters, drifts in an ambient wind and flows around
+ * solid colliders.
+ */
+
+// Every field is one value per cell, stored x fastest, then y (up), then z.
+// red, green and blue are the smoke colour weighted by density. The box
+// starts at origin (metres) and is size cells of cellSize metres; the floor
+// is a wall and the other five faces are open.
+const SMOKE_DEFAULTS = {
+    size: [24, 36, 24],
+    cellSize: 1 / 6,
+    origin: [-2, 0, -2],
+    // Hot smoke rises at buoyancy m/s² per kelvin above ambient and dense
+    // smoke sinks at smokeWeight m/s² per unit density (Fedkiw et al.)
+    buoyancy: 0.5,
+    smokeWeight: 0.05,
+    vorticityConfinement: 0.3,
+    // Diffusivity of smoke and heat (m²/s) and how fast the smoke cools
+    // toward ambient (fraction per second)
+    diffusion: 0.01,
+    coolingRate: 0.5,
+    // Ambient wind toward windDirection (degrees from +x toward +z) at
+    // windSpeed m/s. Below boundaryLayer metres it slows as (y/δ)^shearExponent;
+    // gusts are curl noise of about gustStrength m/s with eddies gustScale
+    // metres across. The air is pulled sideways toward this flow at
+    // windCoupling per second and the projection routes it around colliders.
+    // Vertical motion stays buoyancy's, apart from the gusts' own.
+    windSpeed: 0,
+    windDirection: 0,
+    boundaryLayer: 0,
+    shearExponent: 1 / 7,
+    gustStrength: 0,
+    gustScale: 1,
+    windCoupling: 1,
+    pressureIterations: 20
+};
+
+// Emitters are balls of the given radius (m) centered on (x, y, z). Inside,
+// smoke of the given colour builds up at rate (density per second), the
+// temperature is held at least at temperature (K above ambient), and a
+// nonzero velocity (m/s) is imposed on the flow; zero leaves it alone.
+const DEFAULT_EMITTER = {
+    x: 0, y: 0.15, z: 0, radius: 0.5,
+    rate: 4, temperature: 10, color: [0.85, 0.9, 1], velocity: [0, 0, 0]
+};
+
+// Colliders are solid { type: 'sphere', x, y, z, radius } or
+// { type: 'box', x, y, z, size: [width, height, depth] } centered on (x, y, z)
+function colliderContains(collider, x, y, z) {
+    const dx = x - collider.x;
+    const dy = y - collider.y;
+    const dz = z - collider.z;
+    if (collider.type === 'sphere') return dx * dx + dy * dy + dz * dz <= collider.radius * collider.radius;
+    if (collider.type === 'box') {
+        const [sx, sy, sz] = collider.size;
+        return Math.abs(dx) <= sx / 2 && Math.abs(dy) <= sy / 2 && Math.abs(dz) <= sz / 2;
+    }
+    throw new Error(`Unknown collider type: ${collider.type}`);
+}
+
+const SMOKE_FIELDS = ['u', 'v', 'w', 'density', 'red', 'green', 'blue', 'temperature', 'pressure'];
+const SMOKE_SCALARS = ['density', 'red', 'green', 'blue'];
+
+const copyEmitter = (emitter) => ({ ...emitter, color: emitter.color.slice(), velocity: emitter.velocity.slice() });
+const copyCollider = (collider) => collider.size ? { ...collider, size: collider.size.slice() } : { ...collider };
+
+// Fraction of windSpeed blowing at height y: the power-law boundary layer
+function windProfile(y, params) {
+    if (params.boundaryLayer <= 0 || y >= params.boundaryLayer) return 1;
+    return Math.pow(Math.max(y, 0) / params.boundaryLayer, params.shearExponent);
+}
+
+// Pseudo-random value in [-1, 1] for a lattice point
+function latticeHash(i, j, k) {
+    let h = Math.imul(i, 374761393) + Math.imul(j, 668265263) + Math.imul(k, 1440662683);
+    h = Math.imul(h ^ (h >>> 13), 1274126177);
+    return ((h ^ (h >>> 16)) & 0xffff) / 32767.5 - 1;
+}
+
+// Smooth value noise in [-1, 1]: latticeHash values blended with a
+// smoothstep across each cell
+function valueNoise(x, y, z) {
+    const i = Math.floor(x);
+    const j = Math.floor(y);
+    const k = Math.floor(z);
+    let fx = x - i;
+    let fy = y - j;
+    let fz = z - k;
+    fx = fx * fx * (3 - 2 * fx);
+    fy = fy * fy * (3 - 2 * fy);
+    fz = fz * fz * (3 - 2 * fz);
+
+    const c000 = latticeHash(i, j, k);
+    const c100 = latticeHash(i + 1, j, k);
+    const c010 = latticeHash(i, j + 1, k);
+    const c110 = latticeHash(i + 1, j + 1, k);
+    const c001 = latticeHash(i, j, k + 1);
+    const c101 = latticeHash(i + 1, j, k + 1);
+    const c011 = latticeHash(i, j + 1, k + 1);
+    const c111 = latticeHash(i + 1, j + 1, k + 1);
+    const c00 = c000 + fx * (c100 - c000);
+    const c10 = c010 + fx * (c110 - c010);
+    const c01 = c001 + fx * (c101 - c001);
+    const c11 = c011 + fx * (c111 - c011);
+    const c0 = c00 + fy * (c10 - c00);
+    const c1 = c01 + fy * (c11 - c01);
+    return c0 + fz * (c1 - c0);
+}
+
+// Trilinear sample of a field at (x, y, z) in cell units, with cell centers
+// on the integers, clamped to the grid
+function sampleVoxels(data, nx, ny, nz, x, y, z) {
+    x = Math.min(Math.max(x, 0), nx - 1);
+    y = Math.min(Math.max(y, 0), ny - 1);
+    z = Math.min(Math.max(z, 0), nz - 1);
+    const i = Math.min(Math.floor(x), nx - 2);
+    const j = Math.min(Math.floor(y), ny - 2);
+    const k = Math.min(Math.floor(z), nz - 2);
+    const fx = x - i;
+    const fy = y - j;
+    const fz = z - k;
+    const n = (k * ny + j) * nx + i;
+    const row = nx;
+    const slice = nx * ny;
+
+    const c00 = data[n] + fx * (data[n + 1] - data[n]);
+    const c10 = data[n + row] + fx * (data[n + row + 1] - data[n + row]);
+    const c01 = data[n + slice] + fx * (data[n + slice + 1] - data[n + slice]);
+    const c11 = data[n + slice + row] + fx * (data[n + slice + row + 1] - data[n + slice + row]);
+    const c0 = c00 + fy * (c10 - c00);
+    const c1 = c01 + fy * (c11 - c01);
+    return c0 + fz * (c1 - c0);
+}
+
+// Options override SMOKE_DEFAULTS and may list emitters (one DEFAULT_EMITTER
+// otherwise) and colliders; params stay live, so sliders can change them
+// between steps
+function createSmokeSolver(options = {}) {
+    const { emitters: initialEmitters = [DEFAULT_EMITTER], colliders: initialColliders = [], ...rest } = options;
+    const params = { ...SMOKE_DEFAULTS, ...rest };
+    const [nx, ny, nz] = params.size;
+    const h = params.cellSize;
+    const count = nx * ny * nz;
+    const row = nx;
+    const slice = nx * ny;
+
+    const fields = {};
+    for (const name of SMOKE_FIELDS) fields[name] = new Float32Array(count);
+    const divergence = new Float32Array(count);
+    const scratch = [new Float32Array(count), new Float32Array(count), new Float32Array(count)];
+    const curl = [new Float32Array(count), new Float32Array(count), new Float32Array(count)];
+    const curlLength = new Float32Array(count);
+    // 1 in cells inside a collider
+    const solid = new Uint8Array(count);
+    let emitters = [];
+    let colliders = [];
+    // The ambient flow and the gusts' vector potential, the clock the gusts
+    // follow, and the part of v that is gust rather than buoyant motion
+    const ambient = [new Float32Array(count), new Float32Array(count), new Float32Array(count)];
+    const potential = [new Float32Array(count), new Float32Array(count), new Float32Array(count)];
+    const gustV = new Float32Array(count);
+    let time = 0;
+
+    // World position to cell units
+    const toCell = (x, y, z) => [
+        (x - params.origin[0]) / h - 0.5,
+        (y - params.origin[1]) / h - 0.5,
+        (z - params.origin[2]) / h - 0.5
+    ];
+
+    // Trace each cell back along the velocity and sample src there
+    const advect = (src, dst, dt, decay) => {
+        const { u, v, w } = fields;
+        const s = dt / h;
+        for (let k = 0, n = 0; k < nz; k++) {
+            for (let j = 0; j < ny; j++) {
+                for (let i = 0; i < nx; i++, n++) {
+                    dst[n] = decay * sampleVoxels(src, nx, ny, nz, i - s * u[n], j - s * v[n], k - s * w[n]);
+                }
+            }
+        }
+    };
+
+    // Explicit diffusion, held under its 1/6 stability limit; no flux
+    // through the faces
+    const diffuse = (field, dt) => {
+        const alpha = Math.min(params.diffusion * dt / (h * h), 1 / 6);
+        if (alpha <= 0) return;
+        const src = scratch[0];
+        src.set(field);
+        for (let k = 0, n = 0; k < nz; k++) {
+            for (let j = 0; j < ny; j++) {
+                for (let i = 0; i < nx; i++, n++) {
+                    const sum = src[i > 0 ? n - 1 : n] + src[i < nx - 1 ? n + 1 : n] +
+                        src[j > 0 ? n - row : n] + src[j < ny - 1 ? n + row : n] +
+                        src[k > 0 ? n - slice : n] + src[k < nz - 1 ? n + slice : n];
+                    field[n] = src[n] + alpha * (sum - 6 * src[n]);
+                }
+            }
+        }
+    };
+
+    // Boussinesq force: f_y = β·T − α·ρ
+    const applyBuoyancy = (dt) => {
+        const { v, density, temperature } = fields;
+        for (let n = 0; n < count; n++) {
+            v[n] += dt * (params.buoyancy * temperature[n] - params.smokeWeight * density[n]);
+        }
+    };
+
+    // Gusts are the curl of a noise vector potential, so they add no
+    // divergence. The eddies drift with the wind and slowly churn.
+    const addGusts = () => {
+        const [ox, oy, oz] = params.origin;
+        const angle = params.windDirection * Math.PI / 180;
+        const scale = 1 / params.gustScale;
+        const amplitude = params.gustStrength * params.gustScale;
+        const driftX = params.windSpeed * Math.cos(angle) * time;
+        const driftZ = params.windSpeed * Math.sin(angle) * time;
+        const churn = 0.3 * params.gustStrength * scale * time;
+        const [px, py, pz] = potential;
+        for (let k = 0, n = 0; k < nz; k++) {
+            const z = (oz + (k + 0.5) * h - driftZ) * scale;
+            for (let j = 0; j < ny; j++) {
+                const y = (oy + (j + 0.5) * h) * scale;
+                for (let i = 0; i < nx; i++, n++) {
+                    const x = (ox + (i + 0.5) * h - driftX) * scale;
+                    px[n] = amplitude * valueNoise(x + churn, y, z + 17.1);
+                    py[n] = amplitude * valueNoise(x + 31.7, y + churn, z);
+                    pz[n] = amplitude * valueNoise(x, y + 47.3, z + churn);
+                }
+            }
+        }
+
+        const [au, av, aw] = ambient;
+        const d = 1 / (2 * h);
+        for (let k = 0, n = 0; k < nz; k++) {
+            for (let j = 0; j < ny; j++) {
+                for (let i = 0; i < nx; i++, n++) {
+                    const l = i > 0 ? n - 1 : n;
+                    const r = i < nx - 1 ? n + 1 : n;
+                    const b = j > 0 ? n - row : n;
+                    const t = j < ny - 1 ? n + row : n;
+                    const f = k > 0 ? n - slice : n;
+                    const a = k < nz - 1 ? n + slice : n;
+                    au[n] += d * ((pz[t] - pz[b]) - (py[a] - py[f]));
+                    av[n] += d * ((px[a] - px[f]) - (pz[r] - pz[l]));
+                    aw[n] += d * ((py[r] - py[l]) - (px[t] - px[b]));
+                }
+            }
+        }
+    };
+
+    // Pull the air sideways toward the ambient wind. Only the gust part of v
+    // is relaxed, toward the gusts' vertical velocity, so a rising plume
+    // keeps its updraft in a crosswind.
+    const applyWind = (dt) => {
+        const { u, v, w } = fields;
+        const [au, av, aw] = ambient;
+        const angle = params.windDirection * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        for (let k = 0, n = 0; k < nz; k++) {
+            for (let j = 0; j < ny; j++) {
+                const speed = params.windSpeed * windProfile(params.origin[1] + (j + 0.5) * h, params);
+                for (let i = 0; i < nx; i++, n++) {
+                    au[n] = speed * cos;
+                    av[n] = 0;
+                    aw[n] = speed * sin;
+                }
+            }
+        }
+        if (params.gustStrength > 0) addGusts();
+
+        const relax = 1 - Math.exp(-params.windCoupling * dt);
+        for (let n = 0; n < count; n++) {
+            u[n] += relax * (au[n] - u[n]);
+            w[n] += relax * (aw[n] - w[n]);
+            const gust = relax * (av[n] - gustV[n]);
+            v[n] += gust;
+            gustV[n] += gust;
+        }
+    };
+
+    // Vorticity confinement: f = ε·h·(N × ω), where N is the unit gradient
+    // of |ω|, puts back the small swirls numerical diffusion smooths away
+    const confineVorticity = (dt) => {
+        const { u, v, w } = fields;
+        const [cx, cy, cz] = curl;
+        const d = 1 / (2 * h);
+        for (let k = 0, n = 0; k < nz; k++) {
+            for (let j = 0; j < ny; j++) {
+                for (let i = 0; i < nx; i++, n++) {
+                    const l = i > 0 ? n - 1 : n;
+                    const r = i < nx - 1 ? n + 1 : n;
+                    const b = j > 0 ? n - row : n;
+                    const t = j < ny - 1 ? n + row : n;
+                    const f = k > 0 ? n - slice : n;
+                    const a = k < nz - 1 ? n + slice : n;
+                    cx[n] = d * ((w[t] - w[b]) - (v[a] - v[f]));
+                    cy[n] = d * ((u[a] - u[f]) - (w[r] - w[l]));
+                    cz[n] = d * ((v[r] - v[l]) - (u[t] - u[b]));
+                    curlLength[n] = Math.sqrt(cx[n] * cx[n] + cy[n] * cy[n] + cz[n] * cz[n]);
+                }
+            }
+        }
+
+        const strength = params.vorticityConfinement * h * dt;
+        for (let k = 0, n = 0; k < nz; k++) {
+            for (let j = 0; j < ny; j++) {
+                for (let i = 0; i < nx; i++, n++) {
+                    let gx = curlLength[i < nx - 1 ? n + 1 : n] - curlLength[i > 0 ? n - 1 : n];
+                    let gy = curlLength[j < ny - 1 ? n + row : n] - curlLength[j > 0 ? n - row : n];
+                    let gz = curlLength[k < nz - 1 ? n + slice : n] - curlLength[k > 0 ? n - slice : n];
+                    const length = Math.sqrt(gx * gx + gy * gy + gz * gz) + 1e-5;
+                    gx /= length;
+                    gy /= length;
+                    gz /= length;
+                    u[n] += strength * (gy * cz[n] - gz * cy[n]);
+                    v[n] += strength * (gz * cx[n] - gx * cz[n]);
+                    w[n] += strength * (gx * cy[n] - gy * cx[n]);
+                }
+            }
+        }
+    };
+
+    // Make the velocity divergence-free. The pressure (scaled by Δt/ρ) is 0
+    // outside the open faces and mirrored into the floor and colliders,
+    // where the velocity is reflected so nothing flows through them.
+    const project = () => {
+        const { u, v, w, pressure } = fields;
+        const d = 1 / (2 * h);
+        // A neighbor's velocity component, or its reflection off a solid
+        const across = (field, n, m) => solid[m] ? -field[n] : field[m];
+        for (let k = 0, n = 0; k < nz; k++) {
+            for (let j = 0; j < ny; j++) {
+                for (let i = 0; i < nx; i++, n++) {
+                    if (solid[n]) {
+                        divergence[n] = 0;
+                        continue;
+                    }
+                    const du = across(u, n, i < nx - 1 ? n + 1 : n) - across(u, n, i > 0 ? n - 1 : n);
+                    const dv = across(v, n, j < ny - 1 ? n + row : n) - (j > 0 ? across(v, n, n - row) : -v[n]);
+                    const dw = across(w, n, k < nz - 1 ? n + slice : n) - across(w, n, k > 0 ? n - slice : n);
+                    divergence[n] = d * (du + dv + dw);
+                }
+            }
+        }
+
+        const h2 = h * h;
+        let p = pressure;
+        let next = scratch[0];
+        const near = (n, m) => solid[m] ? p[n] : p[m];
+        for (let iter = 0; iter < params.pressureIterations; iter++) {
+            for (let k = 0, n = 0; k < nz; k++) {
+                for (let j = 0; j < ny; j++) {
+                    for (let i = 0; i < nx; i++, n++) {
+                        if (solid[n]) {
+                            next[n] = 0;
+                            continue;
+                        }
+                        const pn = p[n];
+                        const sum = (i > 0 ? (solid[n - 1] ? pn : p[n - 1]) : 0) +
+                            (i < nx - 1 ? (solid[n + 1] ? pn : p[n + 1]) : 0) +
+                            (j > 0 ? (solid[n - row] ? pn : p[n - row]) : pn) +
+                            (j < ny - 1 ? (solid[n + row] ? pn : p[n + row]) : 0) +
+                            (k > 0 ? (solid[n - slice] ? pn : p[n - slice]) : 0) +
+                            (k < nz - 1 ? (solid[n + slice] ? pn : p[n + slice]) : 0);
+                        next[n] = (sum - h2 * divergence[n]) / 6;
+                    }
+                }
+            }
+            [p, next] = [next, p];
+        }
+        if (p !== pressure) pressure.set(p);
+
+        p = pressure;
+        for (let k = 0, n = 0; k < nz; k++) {
+            for (let j = 0; j < ny; j++) {
+                for (let i = 0; i < nx; i++, n++) {
+                    if (solid[n]) {
+                        u[n] = v[n] = w[n] = 0;
+                        continue;
+                    }
+                    u[n] -= d * ((i < nx - 1 ? near(n, n + 1) : 0) - (i > 0 ? near(n, n - 1) : 0));
+                    v[n] -= d * ((j < ny - 1 ? near(n, n + row) : 0) - (j > 0 ? near(n, n - row) : p[n]));
+                    w[n] -= d * ((k < nz - 1 ? near(n, n + slice) : 0) - (k > 0 ? near(n, n - slice) : 0));
+                }
+            }
+        }
+    };
+
+    // Visit the fluid cells whose centers satisfy inside(x, y, z)
+    const forEachCell = (inside, visit) => {
+        const [ox, oy, oz] = params.origin;
+        for (let k = 0, n = 0; k < nz; k++) {
+            for (let j = 0; j < ny; j++) {
+                for (let i = 0; i < nx; i++, n++) {
+                    if (inside(ox + (i + 0.5) * h, oy + (j + 0.5) * h, oz + (k + 0.5) * h)) visit(n);
+                }
+            }
+        }
+    };
+
+    const applyEmitters = (dt) => {
+        for (const emitter of emitters) {
+            const { radius, rate, temperature, color, velocity } = emitter;
+            const amount = rate * dt;
+            const jet = velocity[0] !== 0 || velocity[1] !== 0 || velocity[2] !== 0;
+            forEachCell((x, y, z) => {
+                const dx = x - emitter.x;
+                const dy = y - emitter.y;
+                const dz = z - emitter.z;
+                return dx * dx + dy * dy + dz * dz <= radius * radius;
+            }, (n) => {
+                if (solid[n]) return;
+                fields.density[n] += amount;
+                fields.red[n] += amount * color[0];
+                fields.green[n] += amount * color[1];
+                fields.blue[n] += amount * color[2];
+                fields.temperature[n] = Math.max(fields.temperature[n], temperature);
+                if (jet) {
+                    fields.u[n] = velocity[0];
+                    fields.v[n] = velocity[1];
+                    fields.w[n] = velocity[2];
+                }
+            });
+        }
+    };
+
+    // No smoke, heat or flow inside solids
+    const clearSolids = () => {
+        for (let n = 0; n < count; n++) {
+            if (!solid[n]) continue;
+            for (const name of SMOKE_FIELDS) fields[name][n] = 0;
+        }
+    };
+
+    const solver = {
+        params,
+        fields,
+        size: [nx, ny, nz],
+
+        step(dt) {
+            if (params.vorticityConfinement > 0) confineVorticity(dt);
+            applyBuoyancy(dt);
+            if (params.windSpeed !== 0 || params.gustStrength > 0) applyWind(dt);
+
+            const [u, v, w] = scratch;
+            advect(fields.u, u, dt, 1);
+            advect(fields.v, v, dt, 1);
+            advect(fields.w, w, dt, 1);
+            fields.u.set(u);
+            fields.v.set(v);
+            fields.w.set(w);
+
+            for (const name of SMOKE_SCALARS) {
+                advect(fields[name], u, dt, 1);
+                fields[name].set(u);
+                diffuse(fields[name], dt);
+            }
+            advect(fields.temperature, u, dt, Math.exp(-params.coolingRate * dt));
+            fields.temperature.set(u);
+            diffuse(fields.temperature, dt);
+
+            applyEmitters(dt);
+            clearSolids();
+            project();
+            time += dt;
+        },
+
+        // Replace the emitters (see DEFAULT_EMITTER); [] removes them all
+        setEmitters(list) {
+            emitters = list.map(copyEmitter);
+        },
+
+        getEmitters: () => emitters.map(copyEmitter),
+
+        // Replace the colliders (see colliderContains) and empty the cells
+        // they now cover
+        setColliders(list) {
+            colliders = list.map(copyCollider);
+            solid.fill(0);
+            for (const collider of colliders) {
+                forEachCell((x, y, z) => colliderContains(collider, x, y, z), (n) => { solid[n] = 1; });
+            }
+            clearSolids();
+        },
+
+        getColliders: () => colliders.map(copyCollider),
+
+        clear() {
+            for (const name of SMOKE_FIELDS) fields[name].fill(0);
+            gustV.fill(0);
+            time = 0;
+        },
+
+        // Seconds simulated since the last clear
+        get time() {
+            return time;
+        },
+
+        // Fluid velocity (m/s) at a world position, into out
+        sampleVelocity(x, y, z, out = [0, 0, 0]) {
+            const [i, j, k] = toCell(x, y, z);
+            out[0] = sampleVoxels(fields.u, nx, ny, nz, i, j, k);
+            out[1] = sampleVoxels(fields.v, nx, ny, nz, i, j, k);
+            out[2] = sampleVoxels(fields.w, nx, ny, nz, i, j, k);
+            return out;
+        },
+
+        sampleDensity(x, y, z) {
+            const [i, j, k] = toCell(x, y, z);
+            return sampleVoxels(fields.density, nx, ny, nz, i, j, k);
+        },
+
+        // Whether a world position lies inside the box
+        contains(x, y, z) {
+            const [i, j, k] = toCell(x, y, z);
+            return i >= -0.5 && i <= nx - 0.5 && j >= -0.5 && j <= ny - 0.5 && k >= -0.5 && k <= nz - 0.5;
+        },
+
+        // Whether a world position lies inside a collider
+        isSolid(x, y, z) {
+            return colliders.some(collider => colliderContains(collider, x, y, z));
+        },
+
+        getState() {
+            const state = { emitters: solver.getEmitters(), colliders: solver.getColliders(), time, gustV: gustV.slice() };
+            for (const name of SMOKE_FIELDS) state[name] = fields[name].slice();
+            return state;
+        },
+
+        // States saved before emitters had colours are taken as the default
+        // colour, and keep the current emitters and colliders
+        setState(state) {
+            const missingColor = !state.red && state.density;
+            for (const name of SMOKE_FIELDS) {
+                if (missingColor && SMOKE_SCALARS.includes(name)) continue;
+                if (!state[name] || state[name].length !== count) {
+                    throw new Error(`Smoke state ${name} does not match a ${nx} × ${ny} × ${nz} grid`);
+                }
+            }
+            time = state.time || 0;
+            if (state.gustV) gustV.set(state.gustV);
+            else gustV.fill(0);
+            if (state.emitters) solver.setEmitters(state.emitters);
+            if (state.colliders) solver.setColliders(state.colliders);
+            for (const name of SMOKE_FIELDS) {
+                if (state[name]) fields[name].set(state[name]);
+            }
+            if (missingColor) {
+                const [r, g, b] = DEFAULT_EMITTER.color;
+                for (let n = 0; n < count; n++) {
+                    fields.red[n] = r * state.density[n];
+                    fields.green[n] = g * state.density[n];
+                    fields.blue[n] = b * state.density[n];
+                }
+            }
+        }
+    };
+
+    solver.setEmitters(initialEmitters);
+    solver.setColliders(initialColliders);
+    return solver;
+}
+
+// Allow headless use from Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SMOKE_DEFAULTS, DEFAULT_EMITTER, windProfile, valueNoise, sampleVoxels, colliderContains, createSmokeSolver
+    };
+}
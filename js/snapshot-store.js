@@ -0,0 +1,139 @@
+/**
+ * Simulation Snapshots
+ * Saves simulation state, typed arrays included, to IndexedDB or to a file
+ * and reads it back. Files are zips (createZip from capture.js) holding
+ * snapshot.json plus one raw little-endian entry per typed array.
+ */
+
+const SNAPSHOT_DB = 'stokes-snapshots';
+const SNAPSHOT_STORE = 'snapshots';
+const SNAPSHOT_ARRAY_TYPES = { Float32Array, Float64Array, Int32Array, Uint32Array, Uint8Array };
+
+// Globals from capture.js in the page; required under Node
+const snapshotHelpers = typeof module !== 'undefined' && module.exports
+    ? require('./capture.js')
+    : window;
+
+function packSnapshot(snapshot) {
+    const files = [];
+    const json = JSON.stringify(snapshot, (key, value) => {
+        if (!ArrayBuffer.isView(value)) return value;
+        const entry = `arrays/${files.length}.bin`;
+        files.push({ name: entry, data: new Uint8Array(value.buffer, value.byteOffset, value.byteLength) });
+        return { $array: value.constructor.name, entry };
+    });
+    files.unshift({ name: 'snapshot.json', data: new TextEncoder().encode(json) });
+    return snapshotHelpers.createZip(files);
+}
+
+// Entries of an uncompressed zip such as createZip writes
+function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+    const entries = {};
+    let offset = 0;
+    while (offset + 30 <= bytes.length && view.getUint32(offset, true) === 0x04034b50) {
+        if (view.getUint16(offset + 8, true) !== 0) {
+            throw new Error('Compressed zip entries are not supported');
+        }
+        const size = view.getUint32(offset + 18, true);
+        const nameLength = view.getUint16(offset + 26, true);
+        const extraLength = view.getUint16(offset + 28, true);
+        const start = offset + 30 + nameLength + extraLength;
+        const name = decoder.decode(bytes.subarray(offset + 30, offset + 30 + nameLength));
+        entries[name] = bytes.subarray(start, start + size);
+        offset = start + size;
+    }
+    return entries;
+}
+
+function unpackSnapshot(bytes) {
+    const entries = readZip(bytes);
+    if (!entries['snapshot.json']) throw new Error('Not a snapshot file');
+    return JSON.parse(new TextDecoder().decode(entries['snapshot.json']), (key, value) => {
+        if (!value || typeof value.$array !== 'string') return value;
+        const Type = SNAPSHOT_ARRAY_TYPES[value.$array];
+        const data = entries[value.entry];
+        if (!Type || !data) throw new Error(`Bad array in snapshot: ${value.entry}`);
+        return new Type(data.slice().buffer);
+    });
+}
+
+function openSnapshotDB() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(SNAPSHOT_DB, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(SNAPSHOT_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run one request against the snapshot store and resolve with its result
+async function withSnapshotStore(mode, makeRequest) {
+    const db = await openSnapshotDB();
+    try {
+        return await new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction(SNAPSHOT_STORE, mode).objectStore(SNAPSHOT_STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+// IndexedDB stores typed arrays as they are, so no packing is needed
+const putSnapshot = (key, snapshot) => withSnapshotStore('readwrite', store => store.put(snapshot, key));
+const getSnapshot = (key) => withSnapshotStore('readonly', store => store.get(key));
+
+// Handle one snapshot button from the standard control block:
+// #<prefix>-snapshot-name, #<prefix>-snapshot-status and #<prefix>-snapshot-file.
+// action is 'save' or 'restore' (IndexedDB), 'download' or 'upload' (file);
+// handlers.capture() returns the state and handlers.restore(state) applies it.
+async function runSnapshotAction(prefix, action, handlers) {
+    const status = document.getElementById(`${prefix}-snapshot-status`);
+    const name = document.getElementById(`${prefix}-snapshot-name`).value.trim() || 'snapshot';
+    const key = `${prefix}/${name}`;
+    const restore = (snapshot) => {
+        if (!snapshot) throw new Error(`No snapshot named "${name}"`);
+        if (snapshot.kind !== prefix) throw new Error(`That snapshot belongs to ${snapshot.kind}`);
+        handlers.restore(snapshot.state);
+    };
+
+    try {
+        switch (action) {
+            case 'save':
+                await putSnapshot(key, { kind: prefix, savedAt: new Date().toISOString(), state: handlers.capture() });
+                status.textContent = `Saved "${name}"`;
+                break;
+            case 'restore':
+                restore(await getSnapshot(key));
+                status.textContent = `Restored "${name}"`;
+                break;
+            case 'download': {
+                const bytes = packSnapshot({ kind: prefix, savedAt: new Date().toISOString(), state: handlers.capture() });
+                downloadBlob(new Blob([bytes], { type: 'application/zip' }), `${prefix}-${name}.snapshot.zip`);
+                status.textContent = `Downloaded "${name}"`;
+                break;
+            }
+            case 'upload': {
+                const input = document.getElementById(`${prefix}-snapshot-file`);
+                const file = input.files[0];
+                input.value = '';
+                if (!file) return;
+                restore(unpackSnapshot(new Uint8Array(await file.arrayBuffer())));
+                status.textContent = `Loaded ${file.name}`;
+                break;
+            }
+            default:
+                throw new Error(`Unknown snapshot action: ${action}`);
+        }
+    } catch (err) {
+        status.textContent = `Snapshot failed: ${err.message}`;
+    }
+}
+
+// Allow headless use of the file format from Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { packSnapshot, unpackSnapshot, readZip };
+}
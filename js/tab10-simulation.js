@@ -6,16 +6,14 @@
 // Simulation state
 let gl;
 let canvas;
-let programs = {};
-let textures = {};
-let framebuffers = {};
+let solver;
+let displayPrograms = {};
 
-// Simulation parameters
+// Display parameters; the solver keeps its own in solver.params
 let simParams = {
-    viscosity: 0.1,
-    diffusion: 0.2,
-    pressureIterations: 20,
-    displayMode: 'dye'
+    displayMode: 'dye',
+    inletSpeed: 0.2,
+    streakCount: 8
 };
 
 let isPaused = false;
@@ -23,157 +21,96 @@ let mousePos = { x: 0, y: 0 };
 let lastMousePos = { x: 0, y: 0 };
 let isMouseDown = false;
 
-// Resolution
+// Solid geometry: a preset shape or a hand-painted mask
+let obstacleType = 'none';
+let obstacleMask = null;
+let eraseObstacles = false;
+const OBSTACLE_BRUSH_RADIUS = 0.02;
+
+// Wind tunnel: inlet on the left, outflow on the right
+let windTunnel = false;
+
+// Probes log velocity, pressure and vorticity at a cell every step; the
+// global diagnostics need full read-backs, so they are sampled less often
+let probeMode = false;
+let probes = [];
+let probeQuantity = 'speed';
+let diagnosticsHistory = [];
+let simTime = 0;
+let stepCount = 0;
+let overlayCtx;
+const MAX_PROBES = 4;
+const PLOT_HISTORY = 300;
+const DIAGNOSTIC_INTERVAL = 5;
+const PROBE_COLORS = ['#06b6d4', '#f59e0b', '#10b981', '#ec4899'];
+const PROBE_QUANTITIES = {
+    speed: r => Math.hypot(r.u, r.v),
+    u: r => r.u,
+    v: r => r.v,
+    pressure: r => r.pressure,
+    vorticity: r => r.vorticity
+};
+// Heat sources live in the solver (see buildHeatField); in heat mode a click
+// adds one at the current rates, and a negative heat rate cools instead
+let heatMode = false;
+let heatRate = 25;
+let smokeRate = 0.5;
+const MAX_HEAT_SOURCES = 16;
+const HEAT_SOURCE_RADIUS = 0.02;
+const HEAT_COLORS = { hot: '#f97316', cold: '#3b82f6' };
+
+// Session recording swaps solver for a logging wrapper (see fluid-session.js);
+// playback drives the solver from a session instead of the mouse
+let recorder = null;
+let player = null;
+let lastSession = null;
+const FIXED_DT = 0.016;
+
+// Offline frame capture (see capture.js) holds the live loop still
+let isCapturing = false;
+
+// Time stepping: each frame advances the fluid by FIXED_DT or, in real-time
+// mode, by the measured frame time, split into substeps so that the CFL
+// number |u|max·Δt/h stays under cflLimit
+let timestepMode = 'fixed';
+let baseSubsteps = 1;
+let cflLimit = 1;
+let lastFrameTime = null;
+const MAX_FRAME_DT = 1 / 20;
+const MAX_SUBSTEPS = 16;
+
+const DIAGNOSTIC_SERIES = [
+    { key: 'kineticEnergy', label: 'Kinetic energy', color: '#06b6d4' },
+    { key: 'enstrophy', label: 'Enstrophy', color: '#10b981' },
+    { key: 'maxDivergence', label: 'max |∇·u|', color: '#f97316' },
+    { key: 'totalDye', label: 'Total dye', color: '#a855f7' }
+];
+
+// Starting resolutions, in cells across the canvas height; the grids get
+// as many square cells along the width as the canvas shape needs
 const SIM_RESOLUTION = 256;
 const DYE_RESOLUTION = 512;
 
-// Shader sources
-const vertexShaderSource = `
-    attribute vec2 a_position;
-    varying vec2 v_uv;
-    
-    void main() {
-        v_uv = a_position * 0.5 + 0.5;
-        gl_Position = vec4(a_position, 0.0, 1.0);
-    }
-`;
-
-const copyShader = `
-    precision highp float;
-    uniform sampler2D u_texture;
-    varying vec2 v_uv;
-    
-    void main() {
-        gl_FragColor = texture2D(u_texture, v_uv);
-    }
-`;
-
-const clearShader = `
-    precision highp float;
-    uniform vec4 u_color;
-    
-    void main() {
-        gl_FragColor = u_color;
-    }
-`;
-
-const splatShader = `
-    precision highp float;
-    uniform sampler2D u_texture;
-    uniform vec2 u_point;
-    uniform vec3 u_color;
-    uniform float u_radius;
-    uniform float u_aspectRatio;
-    varying vec2 v_uv;
-    
-    void main() {
-        vec2 p = v_uv - u_point;
-        p.x *= u_aspectRatio;
-        float d = length(p);
-        float splash = exp(-d * d / u_radius);
-        vec3 base = texture2D(u_texture, v_uv).rgb;
-        gl_FragColor = vec4(base + splash * u_color, 1.0);
-    }
-`;
-
-const advectionShader = `
-    precision highp float;
-    uniform sampler2D u_velocity;
-    uniform sampler2D u_source;
-    uniform vec2 u_texelSize;
-    uniform float u_dt;
-    uniform float u_dissipation;
-    varying vec2 v_uv;
-    
-    void main() {
-        vec2 vel = texture2D(u_velocity, v_uv).xy;
-        vec2 coord = v_uv - u_dt * vel * u_texelSize;
-        gl_FragColor = u_dissipation * texture2D(u_source, coord);
-    }
-`;
-
-const divergenceShader = `
-    precision highp float;
-    uniform sampler2D u_velocity;
-    uniform vec2 u_texelSize;
-    varying vec2 v_uv;
-    
-    void main() {
-        float L = texture2D(u_velocity, v_uv - vec2(u_texelSize.x, 0.0)).x;
-        float R = texture2D(u_velocity, v_uv + vec2(u_texelSize.x, 0.0)).x;
-        float B = texture2D(u_velocity, v_uv - vec2(0.0, u_texelSize.y)).y;
-        float T = texture2D(u_velocity, v_uv + vec2(0.0, u_texelSize.y)).y;
-        float div = 0.5 * (R - L + T - B);
-        gl_FragColor = vec4(div, 0.0, 0.0, 1.0);
-    }
-`;
-
-const pressureShader = `
-    precision highp float;
-    uniform sampler2D u_pressure;
-    uniform sampler2D u_divergence;
-    uniform vec2 u_texelSize;
-    varying vec2 v_uv;
-    
-    void main() {
-        float L = texture2D(u_pressure, v_uv - vec2(u_texelSize.x, 0.0)).x;
-        float R = texture2D(u_pressure, v_uv + vec2(u_texelSize.x, 0.0)).x;
-        float B = texture2D(u_pressure, v_uv - vec2(0.0, u_texelSize.y)).x;
-        float T = texture2D(u_pressure, v_uv + vec2(0.0, u_texelSize.y)).x;
-        float C = texture2D(u_divergence, v_uv).x;
-        float pressure = (L + R + B + T - C) * 0.25;
-        gl_FragColor = vec4(pressure, 0.0, 0.0, 1.0);
-    }
-`;
-
-const gradientSubtractShader = `
-    precision highp float;
-    uniform sampler2D u_pressure;
-    uniform sampler2D u_velocity;
-    uniform vec2 u_texelSize;
-    varying vec2 v_uv;
-    
-    void main() {
-        float L = texture2D(u_pressure, v_uv - vec2(u_texelSize.x, 0.0)).x;
-        float R = texture2D(u_pressure, v_uv + vec2(u_texelSize.x, 0.0)).x;
-        float B = texture2D(u_pressure, v_uv - vec2(0.0, u_texelSize.y)).x;
-        float T = texture2D(u_pressure, v_uv + vec2(0.0, u_texelSize.y)).x;
-        vec2 vel = texture2D(u_velocity, v_uv).xy;
-        vel -= vec2(R - L, T - B) * 0.5;
-        gl_FragColor = vec4(vel, 0.0, 1.0);
-    }
-`;
-
-const curlShader = `
-    precision highp float;
-    uniform sampler2D u_velocity;
-    uniform vec2 u_texelSize;
-    varying vec2 v_uv;
-    
-    void main() {
-        float L = texture2D(u_velocity, v_uv - vec2(u_texelSize.x, 0.0)).y;
-        float R = texture2D(u_velocity, v_uv + vec2(u_texelSize.x, 0.0)).y;
-        float B = texture2D(u_velocity, v_uv - vec2(0.0, u_texelSize.y)).x;
-        float T = texture2D(u_velocity, v_uv + vec2(0.0, u_texelSize.y)).x;
-        float curl = (R - L) - (T - B);
-        gl_FragColor = vec4(curl * 0.5, 0.0, 0.0, 1.0);
-    }
-`;
-
+// Display shaders (the solver passes live in fluid-solver.js)
 const displayDyeShader = `
     precision highp float;
+    const vec3 OBSTACLE_COLOR = vec3(0.42, 0.45, 0.5);
     uniform sampler2D u_texture;
+    uniform sampler2D u_obstacles;
     varying vec2 v_uv;
     
     void main() {
         vec3 c = texture2D(u_texture, v_uv).rgb;
+        c = mix(c, OBSTACLE_COLOR, step(0.5, texture2D(u_obstacles, v_uv).x));
         gl_FragColor = vec4(c, 1.0);
     }
 `;
 
 const displayVelocityShader = `
     precision highp float;
+    const vec3 OBSTACLE_COLOR = vec3(0.42, 0.45, 0.5);
     uniform sampler2D u_texture;
+    uniform sampler2D u_obstacles;
     varying vec2 v_uv;
     
     void main() {
@@ -184,25 +121,31 @@ const displayVelocityShader = `
             0.5 + 0.5 * vel.y * 3.0,
             0.5 + 0.5 * mag
         );
+        c = mix(c, OBSTACLE_COLOR, step(0.5, texture2D(u_obstacles, v_uv).x));
         gl_FragColor = vec4(c, 1.0);
     }
 `;
 
 const displayPressureShader = `
     precision highp float;
+    const vec3 OBSTACLE_COLOR = vec3(0.42, 0.45, 0.5);
     uniform sampler2D u_texture;
+    uniform sampler2D u_obstacles;
     varying vec2 v_uv;
     
     void main() {
         float p = texture2D(u_texture, v_uv).x * 0.5 + 0.5;
         vec3 c = vec3(p, 0.2, 1.0 - p);
+        c = mix(c, OBSTACLE_COLOR, step(0.5, texture2D(u_obstacles, v_uv).x));
         gl_FragColor = vec4(c, 1.0);
     }
 `;
 
 const displayCurlShader = `
     precision highp float;
+    const vec3 OBSTACLE_COLOR = vec3(0.42, 0.45, 0.5);
     uniform sampler2D u_texture;
+    uniform sampler2D u_obstacles;
     varying vec2 v_uv;
     
     void main() {
@@ -213,6 +156,28 @@ const displayCurlShader = `
         } else {
             c = vec3(0.98, 0.45, 0.09) * (-curl) * 5.0;
         }
+        c = mix(c, OBSTACLE_COLOR, step(0.5, texture2D(u_obstacles, v_uv).x));
+        gl_FragColor = vec4(c, 1.0);
+    }
+`;
+
+// Temperature above ambient glows red then yellow (20 K and 40 K), below it blue
+const displayTemperatureShader = `
+    precision highp float;
+    const vec3 OBSTACLE_COLOR = vec3(0.42, 0.45, 0.5);
+    uniform sampler2D u_texture;
+    uniform sampler2D u_obstacles;
+    varying vec2 v_uv;
+    
+    void main() {
+        float t = texture2D(u_texture, v_uv).x / 20.0;
+        vec3 c;
+        if (t > 0.0) {
+            c = mix(vec3(0.85, 0.15, 0.02), vec3(1.0, 0.9, 0.4), clamp(t - 1.0, 0.0, 1.0)) * min(t, 1.0);
+        } else {
+            c = vec3(0.15, 0.45, 1.0) * min(-t, 1.0);
+        }
+        c = mix(c, OBSTACLE_COLOR, step(0.5, texture2D(u_obstacles, v_uv).x));
         gl_FragColor = vec4(c, 1.0);
     }
 `;
@@ -227,27 +192,35 @@ function init() {
         return;
     }
     
-    // Enable extensions
-    gl.getExtension('OES_texture_float');
-    gl.getExtension('OES_texture_float_linear');
+    // Create the solver on this context
+    solver = createSolver({
+        gl,
+        resolution: SIM_RESOLUTION,
+        dyeResolution: DYE_RESOLUTION,
+        domainSize: 1,
+        viscosity: 0.0005,
+        dyeDiffusivity: 0.0001,
+        dyeDissipation: 0.1,
+        vorticityConfinement: 15,
+        pressureIterations: 20,
+        thermalDiffusivity: 0.0001,
+        coolingRate: 0.1,
+        buoyancy: 0.0335
+    });
+    
+    overlayCtx = document.getElementById('probe-overlay').getContext('2d');
     
     // Set canvas size
     resizeCanvas();
     
-    // Compile shaders
+    // Compile display shaders
     compileShaders();
     
-    // Create textures
-    createTextures();
-    
-    // Create quad buffer
-    createQuadBuffer();
-    
     // Setup event listeners
     setupEventListeners();
     
     // Start render loop
-    render();
+    requestAnimationFrame(render);
 }
 
 function resizeCanvas() {
@@ -255,116 +228,47 @@ function resizeCanvas() {
     canvas.width = container.offsetWidth;
     canvas.height = 500;
     gl.viewport(0, 0, canvas.width, canvas.height);
+    overlayCtx.canvas.width = canvas.width;
+    overlayCtx.canvas.height = canvas.height;
+    // A replay keeps the grid it was recorded on
+    if (!player) resizeGrid({ aspectRatio: canvas.width / canvas.height });
 }
 
-function compileShader(type, source) {
-    const shader = gl.createShader(type);
-    gl.shaderSource(shader, source);
-    gl.compileShader(shader);
-    
-    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-        console.error('Shader compile error:', gl.getShaderInfoLog(shader));
-        return null;
-    }
-    return shader;
-}
-
-function createProgram(fragSource) {
-    const vertShader = compileShader(gl.VERTEX_SHADER, vertexShaderSource);
-    const fragShader = compileShader(gl.FRAGMENT_SHADER, fragSource);
-    
-    const program = gl.createProgram();
-    gl.attachShader(program, vertShader);
-    gl.attachShader(program, fragShader);
-    gl.linkProgram(program);
-    
-    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-        console.error('Program link error:', gl.getProgramInfoLog(program));
-        return null;
-    }
-    
-    return program;
+// Reallocate the solver's grids (see resize in fluid-solver.js), which
+// carries the flow over, and redraw the obstacles on the new cells
+function resizeGrid(options) {
+    const { width, height } = solver.grid;
+    solver.resize(options);
+    updateGridReadout();
+    if (solver.grid.width === width && solver.grid.height === height) return;
+    
+    obstacleMask = obstacleType === 'paint' && obstacleMask
+        ? resampleObstacleMask(obstacleMask, solver.grid.width, solver.grid.height)
+        : buildObstacleMask(obstacleType);
+    solver.setObstacles(obstacleMask);
 }
 
 function compileShaders() {
-    programs.copy = createProgram(copyShader);
-    programs.clear = createProgram(clearShader);
-    programs.splat = createProgram(splatShader);
-    programs.advection = createProgram(advectionShader);
-    programs.divergence = createProgram(divergenceShader);
-    programs.pressure = createProgram(pressureShader);
-    programs.gradientSubtract = createProgram(gradientSubtractShader);
-    programs.curl = createProgram(curlShader);
-    programs.displayDye = createProgram(displayDyeShader);
-    programs.displayVelocity = createProgram(displayVelocityShader);
-    programs.displayPressure = createProgram(displayPressureShader);
-    programs.displayCurl = createProgram(displayCurlShader);
-}
-
-function createDoubleFBO(w, h) {
-    let fbo1 = createFBO(w, h);
-    let fbo2 = createFBO(w, h);
-    return {
-        read: fbo1,
-        write: fbo2,
-        swap: function() {
-            let temp = this.read;
-            this.read = this.write;
-            this.write = temp;
-        }
-    };
-}
-
-function createFBO(w, h) {
-    const texture = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, texture);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, gl.FLOAT, null);
-    
-    const fbo = gl.createFramebuffer();
-    gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
-    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
-    
-    return { texture, fbo, width: w, height: h };
-}
-
-function createTextures() {
-    textures.velocity = createDoubleFBO(SIM_RESOLUTION, SIM_RESOLUTION);
-    textures.pressure = createDoubleFBO(SIM_RESOLUTION, SIM_RESOLUTION);
-    textures.divergence = createFBO(SIM_RESOLUTION, SIM_RESOLUTION);
-    textures.curl = createFBO(SIM_RESOLUTION, SIM_RESOLUTION);
-    textures.dye = createDoubleFBO(DYE_RESOLUTION, DYE_RESOLUTION);
-}
-
-function createQuadBuffer() {
-    const buffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
-        -1, -1,
-        -1, 1,
-        1, 1,
-        1, -1
-    ]), gl.STATIC_DRAW);
-}
-
-function blit(target) {
-    if (target) {
-        gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
-        gl.viewport(0, 0, target.width, target.height);
-    } else {
-        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-        gl.viewport(0, 0, canvas.width, canvas.height);
-    }
-    gl.drawArrays(gl.TRIANGLE_FAN, 0, 4);
+    displayPrograms.dye = solver.createProgram(displayDyeShader);
+    displayPrograms.velocity = solver.createProgram(displayVelocityShader);
+    displayPrograms.pressure = solver.createProgram(displayPressureShader);
+    displayPrograms.curl = solver.createProgram(displayCurlShader);
+    displayPrograms.temperature = solver.createProgram(displayTemperatureShader);
 }
 
 function setupEventListeners() {
     canvas.addEventListener('mousedown', (e) => {
-        isMouseDown = true;
         updateMousePos(e);
+        if (probeMode) {
+            addProbe(mousePos.x, mousePos.y);
+            return;
+        }
+        if (heatMode) {
+            addHeatSource(mousePos.x, mousePos.y);
+            return;
+        }
+        isMouseDown = true;
+        eraseObstacles = e.shiftKey;
     });
     
     canvas.addEventListener('mousemove', (e) => {
@@ -377,8 +281,17 @@ function setupEventListeners() {
     
     canvas.addEventListener('touchstart', (e) => {
         e.preventDefault();
-        isMouseDown = true;
         updateMousePos(e.touches[0]);
+        if (probeMode) {
+            addProbe(mousePos.x, mousePos.y);
+            return;
+        }
+        if (heatMode) {
+            addHeatSource(mousePos.x, mousePos.y);
+            return;
+        }
+        isMouseDown = true;
+        eraseObstacles = false;
     });
     
     canvas.addEventListener('touchmove', (e) => {
@@ -401,38 +314,15 @@ function updateMousePos(e) {
     mousePos.y = 1.0 - (e.clientY - rect.top) / rect.height;
 }
 
-function splat(x, y, dx, dy, color) {
-    // Splat velocity
-    gl.useProgram(programs.splat);
-    gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1,-1,-1,1,1,1,1,-1]), gl.STATIC_DRAW);
-    
-    const posLoc = gl.getAttribLocation(programs.splat, 'a_position');
-    gl.enableVertexAttribArray(posLoc);
-    gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
-    
-    gl.uniform1i(gl.getUniformLocation(programs.splat, 'u_texture'), 0);
-    gl.uniform2f(gl.getUniformLocation(programs.splat, 'u_point'), x, y);
-    gl.uniform3f(gl.getUniformLocation(programs.splat, 'u_color'), dx * 10, dy * 10, 0);
-    gl.uniform1f(gl.getUniformLocation(programs.splat, 'u_radius'), 0.002);
-    gl.uniform1f(gl.getUniformLocation(programs.splat, 'u_aspectRatio'), canvas.width / canvas.height);
-    
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, textures.velocity.read.texture);
-    blit(textures.velocity.write);
-    textures.velocity.swap();
-    
-    // Splat dye
-    const hue = (Date.now() * 0.001) % 1;
-    const rgb = hslToRgb(hue, 0.8, 0.5);
-    gl.uniform1i(gl.getUniformLocation(programs.splat, 'u_texture'), 0);
-    gl.uniform2f(gl.getUniformLocation(programs.splat, 'u_point'), x, y);
-    gl.uniform3f(gl.getUniformLocation(programs.splat, 'u_color'), rgb[0], rgb[1], rgb[2]);
-    gl.uniform1f(gl.getUniformLocation(programs.splat, 'u_radius'), 0.003);
-    
-    gl.bindTexture(gl.TEXTURE_2D, textures.dye.read.texture);
-    blit(textures.dye.write);
-    textures.dye.swap();
+// Mouse drag: push the fluid along the drag and drop dye whose hue cycles
+// once per simulated second
+// dx, dy is the mouse motion over the frame, so the push already follows the
+// frame length; the dye is weighted by it so every display adds the same
+// amount per second
+function splat(x, y, dx, dy, frameDt) {
+    const hue = simTime % 1;
+    const color = hslToRgb(hue, 0.8, 0.5).map(c => c * frameDt / FIXED_DT);
+    solver.splat(x, y, dx * 10, dy * 10, color);
 }
 
 function hslToRgb(h, s, l) {
@@ -457,168 +347,617 @@ function hslToRgb(h, s, l) {
     return [r, g, b];
 }
 
-function step(dt) {
-    // Process mouse input
-    if (isMouseDown) {
+// Advance the fluid by one frame of frameDt seconds. The mouse acts once
+// per frame; the frame is split into enough substeps to respect cflLimit.
+function advance(frameDt) {
+    if (player) {
+        // A replay ignores the mouse and runs the recorded steps that fit the frame
+        let elapsed = 0;
+        let steps = 0;
+        while (player && elapsed < frameDt) {
+            elapsed += step();
+            steps++;
+        }
+        updateCflReadout(solver.maxCellSpeed() * elapsed / steps, steps);
+        return;
+    }
+    
+    // Process mouse input: paint walls in paint mode, otherwise stir the fluid
+    if (isMouseDown && obstacleType === 'paint') {
+        paintObstacle(mousePos.x, mousePos.y);
+    } else if (isMouseDown) {
         const dx = mousePos.x - lastMousePos.x;
         const dy = mousePos.y - lastMousePos.y;
-        splat(mousePos.x, mousePos.y, dx, dy);
+        splat(mousePos.x, mousePos.y, dx, dy, frameDt);
     }
     
-    // Setup common uniforms helper
-    const setupProgram = (program, velTex, texelSize) => {
-        gl.useProgram(program);
-        const posLoc = gl.getAttribLocation(program, 'a_position');
-        gl.enableVertexAttribArray(posLoc);
-        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
-        if (texelSize) {
-            gl.uniform2f(gl.getUniformLocation(program, 'u_texelSize'), 
-                1.0 / SIM_RESOLUTION, 1.0 / SIM_RESOLUTION);
-        }
-    };
-    
-    // Advect velocity
-    setupProgram(programs.advection, null, true);
-    gl.uniform1i(gl.getUniformLocation(programs.advection, 'u_velocity'), 0);
-    gl.uniform1i(gl.getUniformLocation(programs.advection, 'u_source'), 1);
-    gl.uniform1f(gl.getUniformLocation(programs.advection, 'u_dt'), dt);
-    gl.uniform1f(gl.getUniformLocation(programs.advection, 'u_dissipation'), 1.0 - simParams.viscosity * 0.1);
-    
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, textures.velocity.read.texture);
-    gl.activeTexture(gl.TEXTURE1);
-    gl.bindTexture(gl.TEXTURE_2D, textures.velocity.read.texture);
-    blit(textures.velocity.write);
-    textures.velocity.swap();
-    
-    // Advect dye
-    gl.uniform1f(gl.getUniformLocation(programs.advection, 'u_dissipation'), 1.0 - simParams.diffusion * 0.01);
-    gl.uniform2f(gl.getUniformLocation(programs.advection, 'u_texelSize'), 
-        1.0 / DYE_RESOLUTION, 1.0 / DYE_RESOLUTION);
-    gl.activeTexture(gl.TEXTURE1);
-    gl.bindTexture(gl.TEXTURE_2D, textures.dye.read.texture);
-    blit(textures.dye.write);
-    textures.dye.swap();
-    
-    // Divergence
-    setupProgram(programs.divergence, null, true);
-    gl.uniform1i(gl.getUniformLocation(programs.divergence, 'u_velocity'), 0);
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, textures.velocity.read.texture);
-    blit(textures.divergence);
-    
-    // Clear pressure
-    setupProgram(programs.clear, null, false);
-    gl.uniform4f(gl.getUniformLocation(programs.clear, 'u_color'), 0, 0, 0, 1);
-    blit(textures.pressure.read);
-    
-    // Pressure solve (Jacobi iteration)
-    setupProgram(programs.pressure, null, true);
-    gl.uniform1i(gl.getUniformLocation(programs.pressure, 'u_pressure'), 0);
-    gl.uniform1i(gl.getUniformLocation(programs.pressure, 'u_divergence'), 1);
-    gl.activeTexture(gl.TEXTURE1);
-    gl.bindTexture(gl.TEXTURE_2D, textures.divergence.texture);
-    
-    for (let i = 0; i < simParams.pressureIterations; i++) {
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, textures.pressure.read.texture);
-        blit(textures.pressure.write);
-        textures.pressure.swap();
+    // Velocity is stored in cells per second, so speed × Δt is the CFL number
+    const cfl = solver.maxCellSpeed() * frameDt;
+    const substeps = Math.min(Math.max(baseSubsteps, Math.ceil(cfl / cflLimit)), MAX_SUBSTEPS);
+    for (let k = 0; k < substeps; k++) {
+        step(frameDt / substeps);
     }
-    
-    // Gradient subtraction
-    setupProgram(programs.gradientSubtract, null, true);
-    gl.uniform1i(gl.getUniformLocation(programs.gradientSubtract, 'u_pressure'), 0);
-    gl.uniform1i(gl.getUniformLocation(programs.gradientSubtract, 'u_velocity'), 1);
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, textures.pressure.read.texture);
-    gl.activeTexture(gl.TEXTURE1);
-    gl.bindTexture(gl.TEXTURE_2D, textures.velocity.read.texture);
-    blit(textures.velocity.write);
-    textures.velocity.swap();
-    
-    // Compute curl for display
-    setupProgram(programs.curl, null, true);
-    gl.uniform1i(gl.getUniformLocation(programs.curl, 'u_velocity'), 0);
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, textures.velocity.read.texture);
-    blit(textures.curl);
+    updateCflReadout(cfl / substeps, substeps);
 }
 
-function display() {
-    let displayProgram;
-    let displayTexture;
+// One solver step (the next recorded one during a replay); returns its dt
+function step(dt) {
+    if (player) {
+        player.step();
+        dt = player.dt;
+        if (player.done) stopPlayback();
+    } else {
+        solver.step(dt);
+    }
+    simTime += dt;
+    stepCount++;
+    sampleProbes();
+    if (stepCount % DIAGNOSTIC_INTERVAL === 0) {
+        diagnosticsHistory.push({ t: simTime, ...solver.diagnostics() });
+        if (diagnosticsHistory.length > PLOT_HISTORY) diagnosticsHistory.shift();
+    }
+    return dt;
+}
+
+function addProbe(x, y) {
+    if (probes.length >= MAX_PROBES) probes.shift();
+    const used = probes.map(p => p.color);
+    const color = PROBE_COLORS.find(c => !used.includes(c));
+    probes.push({ x, y, color, history: [] });
+}
+
+function sampleProbes() {
+    for (const probe of probes) {
+        probe.history.push({ t: simTime, ...solver.probe(probe.x, probe.y) });
+        if (probe.history.length > PLOT_HISTORY) probe.history.shift();
+    }
+}
+
+// Line plot of time series ({ color, points: [{ t, value }] }) in a
+// horizontal strip of a 2D canvas, scaled to their combined range
+function plotSeries(ctx, top, height, series, label) {
+    const width = ctx.canvas.width;
+    const all = series.flatMap(s => s.points);
+    ctx.fillStyle = '#94a3b8';
+    ctx.font = '10px monospace';
+    ctx.fillText(label, 4, top + 11);
+    if (all.length < 2) return;
+    
+    let tMin = Infinity, tMax = -Infinity, min = Infinity, max = -Infinity;
+    for (const p of all) {
+        tMin = Math.min(tMin, p.t);
+        tMax = Math.max(tMax, p.t);
+        min = Math.min(min, p.value);
+        max = Math.max(max, p.value);
+    }
+    if (max - min < 1e-12) {
+        min -= 0.5 * Math.abs(min) + 1e-12;
+        max += 0.5 * Math.abs(max) + 1e-12;
+    }
+    ctx.fillText(`${max.toExponential(1)} / ${min.toExponential(1)}`, width - 100, top + 11);
+    
+    const plotTop = top + 14;
+    const plotHeight = height - 18;
+    for (const s of series) {
+        ctx.strokeStyle = s.color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        s.points.forEach((p, k) => {
+            const px = (p.t - tMin) / Math.max(tMax - tMin, 1e-9) * width;
+            const py = plotTop + (1 - (p.value - min) / (max - min)) * plotHeight;
+            if (k === 0) ctx.moveTo(px, py);
+            else ctx.lineTo(px, py);
+        });
+        ctx.stroke();
+    }
+}
+
+function drawProbePanel() {
+    const quantity = PROBE_QUANTITIES[probeQuantity];
+    const probeCtx = document.getElementById('probe-plot').getContext('2d');
+    probeCtx.clearRect(0, 0, probeCtx.canvas.width, probeCtx.canvas.height);
+    plotSeries(probeCtx, 0, probeCtx.canvas.height, probes.map(p => ({
+        color: p.color,
+        points: p.history.map(r => ({ t: r.t, value: quantity(r) }))
+    })), 'Probes');
+    
+    if (probes.length > 0) {
+        document.getElementById('probe-readout').innerHTML = probes.map((p, k) => {
+            const r = p.history[p.history.length - 1];
+            if (!r) return '';
+            return `<span style="color: ${p.color};">P${k + 1}</span> ` +
+                `|u| ${Math.hypot(r.u, r.v).toExponential(2)} ` +
+                `p/ρ ${r.pressure.toExponential(2)} ω ${r.vorticity.toExponential(2)}`;
+        }).join('<br>');
+    }
     
-    switch (simParams.displayMode) {
-        case 'velocity':
-            displayProgram = programs.displayVelocity;
-            displayTexture = textures.velocity.read.texture;
-            break;
-        case 'pressure':
-            displayProgram = programs.displayPressure;
-            displayTexture = textures.pressure.read.texture;
-            break;
-        case 'curl':
-            displayProgram = programs.displayCurl;
-            displayTexture = textures.curl.texture;
-            break;
-        default:
-            displayProgram = programs.displayDye;
-            displayTexture = textures.dye.read.texture;
+    const diagCtx = document.getElementById('diagnostics-plot').getContext('2d');
+    diagCtx.clearRect(0, 0, diagCtx.canvas.width, diagCtx.canvas.height);
+    const strip = diagCtx.canvas.height / DIAGNOSTIC_SERIES.length;
+    DIAGNOSTIC_SERIES.forEach((d, k) => {
+        plotSeries(diagCtx, k * strip, strip, [{
+            color: d.color,
+            points: diagnosticsHistory.map(r => ({ t: r.t, value: r[d.key] }))
+        }], d.label);
+    });
+}
+
+function drawProbeOverlay() {
+    const { width, height } = overlayCtx.canvas;
+    overlayCtx.clearRect(0, 0, width, height);
+    probes.forEach((p, k) => {
+        const px = p.x * width;
+        const py = (1 - p.y) * height;
+        overlayCtx.strokeStyle = p.color;
+        overlayCtx.lineWidth = 2;
+        overlayCtx.beginPath();
+        overlayCtx.arc(px, py, 6, 0, 2 * Math.PI);
+        overlayCtx.stroke();
+        overlayCtx.fillStyle = p.color;
+        overlayCtx.font = '12px monospace';
+        overlayCtx.fillText(`P${k + 1}`, px + 9, py - 9);
+    });
+}
+
+// Hot sources as orange dots, cold ones as blue
+function drawHeatOverlay() {
+    const { width, height } = overlayCtx.canvas;
+    for (const source of solver.getHeatSources()) {
+        overlayCtx.fillStyle = source.heat < 0 ? HEAT_COLORS.cold : HEAT_COLORS.hot;
+        overlayCtx.beginPath();
+        overlayCtx.arc(source.x * width, (1 - source.y) * height, 4, 0, 2 * Math.PI);
+        overlayCtx.fill();
+    }
+}
+
+// Preset obstacles sit left of center so their wake has room to develop.
+// length is the size used for the Reynolds number: diameter, plate height, chord.
+const OBSTACLE_PRESETS = {
+    circle: {
+        shape: { type: 'circle', x: 0.25, y: 0.5, radius: 0.06 },
+        length: 0.12
+    },
+    rect: {
+        shape: { type: 'rect', x: 0.25, y: 0.5, width: 0.06, height: 0.2 },
+        length: 0.2
+    },
+    airfoil: {
+        shape: { type: 'airfoil', x: 0.3, y: 0.5, chord: 0.3, thickness: 0.12, angle: 8 * Math.PI / 180 },
+        length: 0.3
     }
+};
+
+function buildObstacleMask(type) {
+    const preset = OBSTACLE_PRESETS[type];
+    if (!preset) return null;
     
-    gl.useProgram(displayProgram);
-    const posLoc = gl.getAttribLocation(displayProgram, 'a_position');
-    gl.enableVertexAttribArray(posLoc);
-    gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
-    gl.uniform1i(gl.getUniformLocation(displayProgram, 'u_texture'), 0);
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, displayTexture);
-    blit(null);
-}
-
-function render() {
-    if (!isPaused) {
-        step(0.016);
+    const mask = createObstacleMask(solver.grid.width, solver.grid.height);
+    addObstacleShape(mask, preset.shape);
+    return mask;
+}
+
+function paintObstacle(x, y) {
+    if (!obstacleMask) obstacleMask = createObstacleMask(solver.grid.width, solver.grid.height);
+    addObstacleShape(obstacleMask, {
+        type: 'circle', x, y, radius: OBSTACLE_BRUSH_RADIUS, value: eraseObstacles ? 0 : 1
+    });
+    solver.setObstacles(obstacleMask);
+}
+
+// Re = U·L/ν from the inlet speed and the preset obstacle size
+function updateReynolds() {
+    const el = document.getElementById('reynolds-value');
+    const preset = OBSTACLE_PRESETS[obstacleType];
+    if (!windTunnel || !preset) {
+        el.textContent = '—';
+        return;
+    }
+    const nu = solver.params.viscosity;
+    const re = simParams.inletSpeed * preset.length * solver.params.domainSize / nu;
+    el.textContent = nu > 0 ? (re < 1e4 ? re.toFixed(0) : re.toExponential(1)) : '∞';
+}
+
+function display() {
+    const mode = displayPrograms[simParams.displayMode] ? simParams.displayMode : 'dye';
+    solver.drawTexture(displayPrograms[mode], solver.getTexture(mode), canvas.width, canvas.height);
+}
+
+function render(now) {
+    // Long gaps (a hidden tab, a breakpoint) are clamped rather than caught up
+    const elapsed = lastFrameTime === null ? FIXED_DT : (now - lastFrameTime) / 1000;
+    lastFrameTime = now;
+    if (!isPaused && !isCapturing) {
+        advance(timestepMode === 'realtime' ? Math.min(elapsed, MAX_FRAME_DT) : FIXED_DT);
+        updateSessionStatus();
     }
     display();
+    drawProbeOverlay();
+    drawHeatOverlay();
+    drawProbePanel();
     requestAnimationFrame(render);
 }
 
 // Control functions
+// Kinematic viscosity ν of the fluid, in m²/s
 function updateViscosity(val) {
-    simParams.viscosity = parseFloat(val);
-    document.getElementById('visc-value').textContent = val;
+    solver.params.viscosity = parseFloat(val);
+    document.getElementById('visc-value').textContent = parseFloat(val).toExponential(1);
+    updateReynolds();
 }
 
+// Molecular diffusivity κ of the dye, in m²/s
 function updateDiffusion(val) {
-    simParams.diffusion = parseFloat(val);
-    document.getElementById('diff-value').textContent = val;
+    solver.params.dyeDiffusivity = parseFloat(val);
+    document.getElementById('diff-value').textContent = parseFloat(val).toExponential(1);
+}
+
+// Vorticity confinement strength ε
+function updateConfinement(val) {
+    solver.params.vorticityConfinement = parseFloat(val);
+    document.getElementById('confinement-value').textContent = val;
 }
 
 function updateIterations(val) {
-    simParams.pressureIterations = parseInt(val);
+    solver.params.pressureIterations = parseInt(val);
     document.getElementById('iter-value').textContent = val;
 }
 
+// 'jacobi' or 'multigrid' (see fluid-solver.js)
+function updatePressureSolver(type) {
+    solver.params.pressureSolver = type;
+}
+
+function updateCycles(val) {
+    solver.params.multigridCycles = parseInt(val);
+    document.getElementById('cycles-value').textContent = val;
+}
+
+// Time both pressure solvers, at their current settings, on the divergence
+// of the last step
+function comparePressureSolvers() {
+    const p = solver.params;
+    const results = solver.benchmarkPressure([
+        { pressureSolver: 'jacobi', pressureIterations: p.pressureIterations },
+        { pressureSolver: 'multigrid', multigridCycles: p.multigridCycles }
+    ]);
+    document.getElementById('solver-comparison').innerHTML = results.map(r => {
+        const label = r.pressureSolver === 'jacobi'
+            ? `Jacobi, ${r.pressureIterations} iterations`
+            : `Multigrid, ${r.multigridCycles} V-cycle${r.multigridCycles === 1 ? '' : 's'}`;
+        const decades = r.residual > 0 ? -Math.log10(r.residual) : Infinity;
+        return `${label}: residual ${r.residual.toExponential(1)} in ${r.ms.toFixed(2)} ms ` +
+            `(${(decades / r.ms).toFixed(2)} decades/ms)`;
+    }).join('<br>');
+}
+
+// Cells across the canvas height for the velocity and pressure grid, and
+// for the dye; the fluid is resampled onto the new grid rather than cleared
+function updateResolution(val) {
+    stopPlayback();
+    resizeGrid({ resolution: parseInt(val) });
+}
+
+function updateDyeResolution(val) {
+    stopPlayback();
+    resizeGrid({ dyeResolution: parseInt(val) });
+}
+
+function updateGridReadout() {
+    const { width, height } = solver.grid;
+    const dye = getGridSize(solver.params.dyeResolution, solver.params.aspectRatio);
+    document.getElementById('grid-size').textContent =
+        `${width} × ${height} cells, dye ${dye.width} × ${dye.height}`;
+}
+
+function updateObstacle(type) {
+    obstacleType = type;
+    // Paint mode starts from whatever is already on screen
+    if (type !== 'paint') {
+        obstacleMask = buildObstacleMask(type);
+    }
+    solver.setObstacles(obstacleMask);
+    updateReynolds();
+}
+
+function updateWallType(type) {
+    solver.params.wallType = type;
+}
+
+function updateFlowMode(mode) {
+    windTunnel = mode === 'wind-tunnel';
+    solver.params.inletSpeed = windTunnel ? simParams.inletSpeed : 0;
+    solver.params.streakCount = windTunnel ? simParams.streakCount : 0;
+    updateReynolds();
+}
+
+// Inlet speed U, in m/s
+function updateInletSpeed(val) {
+    simParams.inletSpeed = parseFloat(val);
+    if (windTunnel) solver.params.inletSpeed = simParams.inletSpeed;
+    document.getElementById('inlet-value').textContent = parseFloat(val).toFixed(2);
+    updateReynolds();
+}
+
+function updateStreaks(val) {
+    simParams.streakCount = parseInt(val);
+    if (windTunnel) solver.params.streakCount = simParams.streakCount;
+    document.getElementById('streak-value').textContent = val;
+}
+
 function updateDisplayMode(mode) {
     simParams.displayMode = mode;
 }
 
+// 'fixed' steps FIXED_DT per frame; 'realtime' follows the measured frame time
+function updateTimestepMode(mode) {
+    timestepMode = mode;
+}
+
+function updateSubsteps(val) {
+    baseSubsteps = parseInt(val);
+    document.getElementById('substeps-value').textContent = val;
+}
+
+function updateCflLimit(val) {
+    cflLimit = parseFloat(val);
+    document.getElementById('cfl-limit-value').textContent = parseFloat(val).toFixed(2);
+}
+
+function updateCflReadout(cfl, substeps) {
+    const el = document.getElementById('cfl-value');
+    el.textContent = `${cfl.toFixed(2)} × ${substeps} substep${substeps === 1 ? '' : 's'}`;
+    el.style.color = cfl > cflLimit ? '#f97316' : '';
+}
+
 function clearFluid() {
-    // Clear all textures
-    gl.useProgram(programs.clear);
-    const posLoc = gl.getAttribLocation(programs.clear, 'a_position');
-    gl.enableVertexAttribArray(posLoc);
-    gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
-    gl.uniform4f(gl.getUniformLocation(programs.clear, 'u_color'), 0, 0, 0, 1);
-    
-    blit(textures.velocity.read);
-    blit(textures.velocity.write);
-    blit(textures.pressure.read);
-    blit(textures.pressure.write);
-    blit(textures.dye.read);
-    blit(textures.dye.write);
+    solver.clear();
+    resetHistory();
+}
+
+// Restart the clock and the probe and diagnostics plots
+function resetHistory() {
+    simTime = 0;
+    stepCount = 0;
+    diagnosticsHistory = [];
+    probes.forEach(p => { p.history = []; });
+}
+
+// Recording starts from clear fluid so a replay can start from the same state
+function toggleRecording() {
+    if (recorder) {
+        lastSession = recorder.session;
+        solver = Object.getPrototypeOf(recorder);
+        recorder = null;
+    } else {
+        stopPlayback();
+        clearFluid();
+        recorder = createSessionRecorder(solver, { dt: FIXED_DT, obstacles: obstacleMask });
+        solver = recorder;
+    }
+    document.getElementById('record-text').textContent = recorder ? 'Stop' : 'Record';
+    updateSessionStatus();
+}
+
+function playSession() {
+    if (!lastSession) return;
+    if (recorder) toggleRecording();
+    try {
+        player = createSessionPlayer(lastSession, solver);
+    } catch (err) {
+        document.getElementById('session-status').textContent = err.message;
+        return;
+    }
+    clearFluid();
+    player.reset();
+    syncControls();
+}
+
+function stopPlayback() {
+    if (!player) return;
+    player = null;
+    // Back to this canvas's shape and the controls the replay left behind
+    resizeCanvas();
+    syncControls();
+}
+
+function saveSession() {
+    if (!lastSession) return;
+    const blob = new Blob([JSON.stringify(lastSession)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'fluid-session.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function loadSession(input) {
+    const file = input.files[0];
+    if (!file) return;
+    file.text().then(text => {
+        lastSession = JSON.parse(text);
+        updateSessionStatus();
+    }).catch(err => {
+        document.getElementById('session-status').textContent = `Could not load session: ${err.message}`;
+    });
+    input.value = '';
+}
+
+function updateSessionStatus() {
+    const el = document.getElementById('session-status');
+    if (recorder) {
+        el.textContent = `Recording: step ${recorder.session.steps}, ${recorder.session.events.length} events`;
+    } else if (player) {
+        el.textContent = `Playing: step ${player.stepIndex} / ${player.session.steps}`;
+    } else if (lastSession) {
+        el.textContent = `Session ready: ${lastSession.steps} steps, ${lastSession.events.length} events`;
+    } else {
+        el.textContent = 'No session';
+    }
+}
+
+// Bring the sliders and selects in line with solver.params after a replay
+function syncControls() {
+    const p = solver.params;
+    const set = (id, value) => { document.getElementById(id).value = value; };
+    set('viscosity-slider', p.viscosity);
+    updateViscosity(p.viscosity);
+    set('diffusion-slider', p.dyeDiffusivity);
+    updateDiffusion(p.dyeDiffusivity);
+    set('confinement-slider', p.vorticityConfinement);
+    updateConfinement(p.vorticityConfinement);
+    set('iterations-slider', p.pressureIterations);
+    updateIterations(p.pressureIterations);
+    set('pressure-solver', p.pressureSolver);
+    set('cycles-slider', p.multigridCycles);
+    updateCycles(p.multigridCycles);
+    set('buoyancy-slider', p.buoyancy);
+    updateBuoyancy(p.buoyancy);
+    set('smoke-weight-slider', p.smokeWeight);
+    updateSmokeWeight(p.smokeWeight);
+    set('cooling-slider', p.coolingRate);
+    updateCoolingRate(p.coolingRate);
+    set('wall-type', p.wallType);
+    set('resolution-select', p.resolution);
+    set('dye-resolution-select', p.dyeResolution);
+    updateGridReadout();
+    
+    windTunnel = p.inletSpeed > 0;
+    set('flow-mode', windTunnel ? 'wind-tunnel' : 'free');
+    if (windTunnel) {
+        set('inlet-slider', p.inletSpeed);
+        updateInletSpeed(p.inletSpeed);
+        set('streak-slider', p.streakCount);
+        updateStreaks(p.streakCount);
+    }
+    updateReynolds();
+}
+
+function captureSimulation() {
+    if (isCapturing) return;
+    isCapturing = true;
+    runCapture('fluid', canvas, FIXED_DT, (dt) => {
+        advance(dt);
+        display();
+    }).finally(() => { isCapturing = false; });
+}
+
+// Current fields as numbers for notebooks and ParaView (see field-export.js).
+// Pressure is scaled by the last substep's dt, as the probes are.
+function exportSimulationFields() {
+    const format = document.getElementById('export-format').value;
+    downloadBlob(exportFields(solver, solver.lastDt, format), `fluid-fields.${EXPORT_FORMATS[format].extension}`);
+}
+
+// Save or restore the full state (see snapshot-store.js)
+function fluidSnapshot(action) {
+    runSnapshotAction('fluid', action, {
+        capture: () => ({
+            solver: solver.getState(),
+            simParams: { ...simParams },
+            obstacleType,
+            simTime
+        }),
+        restore: (state) => {
+            if (recorder) toggleRecording();
+            player = null;
+            solver.resize(state.solver.params);
+            solver.setState(state.solver);
+            simParams = { ...simParams, ...state.simParams };
+            obstacleType = state.obstacleType;
+            
+            // The painted mask lives on in the obstacle field's red channel
+            const obstacles = state.solver.fields.obstacles;
+            obstacleMask = null;
+            if (obstacleType !== 'none') {
+                obstacleMask = createObstacleMask(solver.grid.width, solver.grid.height);
+                for (let n = 0; n < obstacleMask.data.length; n++) {
+                    obstacleMask.data[n] = obstacles.data[n * 4];
+                }
+            }
+            
+            resetHistory();
+            simTime = state.simTime;
+            document.getElementById('obstacle-type').value = obstacleType;
+            document.getElementById('display-mode').value = simParams.displayMode;
+            resizeCanvas();
+            syncControls();
+        }
+    });
+}
+
+function toggleProbeMode() {
+    probeMode = !probeMode;
+    document.getElementById('probe-mode-text').textContent = probeMode ? 'Done Placing' : 'Place Probes';
+}
+
+function clearProbes() {
+    probes = [];
+    document.getElementById('probe-readout').textContent = 'Click "Place Probes", then click the fluid.';
+}
+
+function updateProbeQuantity(quantity) {
+    probeQuantity = quantity;
+}
+
+function toggleHeatMode() {
+    heatMode = !heatMode;
+    document.getElementById('heat-mode-text').textContent = heatMode ? 'Done Placing' : 'Place Heat';
+}
+
+// The oldest source goes once there are MAX_HEAT_SOURCES
+function addHeatSource(x, y) {
+    const sources = solver.getHeatSources().slice(1 - MAX_HEAT_SOURCES);
+    sources.push({ x, y, radius: HEAT_SOURCE_RADIUS, heat: heatRate, smoke: heatRate > 0 ? smokeRate : 0 });
+    solver.setHeatSources(sources);
+}
+
+function clearHeatSources() {
+    solver.setHeatSources([]);
+}
+
+// Rayleigh–Bénard convection: a row of heaters along the floor under a row
+// of coolers along the ceiling. The layer overturns into plumes and cells.
+function heatRayleighBenard() {
+    const count = MAX_HEAT_SOURCES / 2;
+    const sources = [];
+    for (let k = 0; k < count; k++) {
+        const x = (k + 0.5) / count;
+        sources.push({ x, y: 0.03, radius: HEAT_SOURCE_RADIUS, heat: Math.abs(heatRate), smoke: smokeRate });
+        sources.push({ x, y: 0.97, radius: HEAT_SOURCE_RADIUS, heat: -Math.abs(heatRate), smoke: 0 });
+    }
+    solver.clear();
+    resetHistory();
+    solver.setHeatSources(sources);
+}
+
+// Heating rate of new sources, in K/s
+function updateHeatRate(val) {
+    heatRate = parseFloat(val);
+    document.getElementById('heat-rate-value').textContent = val;
+}
+
+// Smoke new hot sources give off, in dye per second
+function updateSmokeRate(val) {
+    smokeRate = parseFloat(val);
+    document.getElementById('smoke-rate-value').textContent = parseFloat(val).toFixed(2);
+}
+
+// Buoyancy per kelvin, g/T₀ for air, in m/s²/K
+function updateBuoyancy(val) {
+    solver.params.buoyancy = parseFloat(val);
+    document.getElementById('buoyancy-value').textContent = parseFloat(val).toFixed(4);
+}
+
+// Downward pull per unit of smoke, in m/s²
+function updateSmokeWeight(val) {
+    solver.params.smokeWeight = parseFloat(val);
+    document.getElementById('smoke-weight-value').textContent = parseFloat(val).toFixed(1);
+}
+
+// Relaxation of the temperature toward ambient, per second
+function updateCoolingRate(val) {
+    solver.params.coolingRate = parseFloat(val);
+    document.getElementById('cooling-value').textContent = parseFloat(val).toFixed(2);
 }
 
 function togglePause() {
@@ -14,6 +14,12 @@ let params = {
     buoyancy: 0.5,
     vorticity: 0.3,
     smokeDiffusion: 0.01,
+    windSpeed: 0,
+    windDirection: 0,
+    boundaryLayer: 2,
+    shearExponent: 0.14,
+    gustStrength: 0,
+    gustScale: 1,
     viscosity: 0.001,
     flowSpeed: 1.0,
     tension: 0.5,
@@ -25,14 +31,195 @@ let params = {
     waterDamping: 0.98
 };
 
-// Smoke particles
+// Smoke: a voxel solver (see js/smoke-solver.js) whose velocity field
+// carries the particles
+let smokeSolver;
 let smokeParticles = [];
 let smokeGeometry, smokeMaterial, smokePointCloud;
 const NUM_SMOKE_PARTICLES = 2000;
+const smokeSample = [0, 0, 0];
+
+// Volume rendering: the density field as a 3D texture, ray-marched in a box
+// covering the solver's grid. Needs WebGL2; 'points' is the fallback. The box
+// floor sits SMOKE_FLOOR_GAP above the ground so the two never z-fight.
+let smokeVolume, smokeVolumeTexture;
+let smokeRenderMode = 'points';
+const SMOKE_ABSORPTION = 5;
+const SMOKE_FLOOR_GAP = 0.01;
+
+// Emitters and colliders are meshes whose userData.item is the solver's
+// description of them (see js/smoke-solver.js). The selected one carries a
+// transform gizmo, and every edit is pushed back to the solver.
+let smokeTransform;
+let smokeEmitterMeshes = [];
+let smokeColliderMeshes = [];
+let selectedSmokeMesh = null;
+let smokeRaycaster;
+let smokeWindArrow;
+const SMOKE_COLLIDER_COLOR = 0x64748b;
+const SMOKE_PRESETS = {
+    source: {
+        emitters: [DEFAULT_EMITTER],
+        colliders: [],
+        wind: { windSpeed: 0, windDirection: 0, boundaryLayer: 2, gustStrength: 0 }
+    },
+    // Hot smoke pushed out of a stack into a gusty crosswind
+    chimney: {
+        emitters: [{ x: 0, y: 2.15, z: 0, radius: 0.25, rate: 6, temperature: 15, color: [0.6, 0.6, 0.65], velocity: [0, 1.5, 0] }],
+        colliders: [{ type: 'box', x: 0, y: 1, z: 0, size: [0.6, 2, 0.6] }],
+        wind: { windSpeed: 1.2, windDirection: 0, boundaryLayer: 3, gustStrength: 0.3 }
+    },
+    // A cool jet along the floor, helped by the wind, that has to climb a wall
+    wall: {
+        emitters: [{ x: -1.5, y: 0.3, z: 0, radius: 0.35, rate: 5, temperature: 2, color: [1, 0.55, 0.2], velocity: [2.5, 0, 0] }],
+        colliders: [{ type: 'box', x: 0.3, y: 0.5, z: 0, size: [0.3, 1, 3.6] }],
+        wind: { windSpeed: 1, windDirection: 0, boundaryLayer: 1, gustStrength: 0 }
+    }
+};
+
+// Ambient wind parameters (see SMOKE_DEFAULTS) with their sliders and the
+// decimals their labels show
+const SMOKE_WIND_SLIDERS = {
+    windSpeed: { id: 'smoke-wind-speed-slider', digits: 1 },
+    windDirection: { id: 'smoke-wind-direction-slider', digits: 0 },
+    boundaryLayer: { id: 'smoke-boundary-layer-slider', digits: 1 },
+    shearExponent: { id: 'smoke-shear-exponent-slider', digits: 2 },
+    gustStrength: { id: 'smoke-gust-strength-slider', digits: 1 },
+    gustScale: { id: 'smoke-gust-scale-slider', digits: 1 }
+};
+
+// Light reaching each sample is dimmed by the smoke between it and the point
+// light (self-shadowing), and each sample absorbs a share of what lies behind
+// it: Beer–Lambert with extinction u_absorption per unit density per metre.
+// The smoke scatters in its own colour; the output is premultiplied by its
+// opacity.
+const smokeVolumeVertexShader = `
+    in vec3 position;
+    uniform mat4 modelMatrix;
+    uniform mat4 viewMatrix;
+    uniform mat4 projectionMatrix;
+    out vec3 v_world;
+    
+    void main() {
+        vec4 world = modelMatrix * vec4(position, 1.0);
+        v_world = world.xyz;
+        gl_Position = projectionMatrix * viewMatrix * world;
+    }
+`;
+
+const smokeVolumeFragmentShader = `
+    precision highp float;
+    precision highp sampler3D;
+    precision highp sampler2D;
+    const int STEPS = 96;
+    const int SHADOW_STEPS = 12;
+    uniform sampler3D u_density;
+    uniform vec3 u_boxMin;
+    uniform vec3 u_boxMax;
+    uniform vec3 u_cameraPosition;
+    uniform vec3 u_lightPosition;
+    uniform vec3 u_lightColor;
+    uniform vec3 u_ambient;
+    uniform float u_absorption;
+    // Two texels per collider: the center with w = 1 for a ball, then the
+    // half size, or the radius in x for a ball
+    uniform sampler2D u_colliders;
+    uniform int u_colliderCount;
+    in vec3 v_world;
+    out vec4 outColor;
+    
+    // Colour times density in rgb, density in a
+    vec4 smokeAt(vec3 p) {
+        return texture(u_density, (p - u_boxMin) / (u_boxMax - u_boxMin));
+    }
+    
+    float densityAt(vec3 p) {
+        return smokeAt(p).a;
+    }
+    
+    // Distance along dir from p inside the box to where it leaves
+    float exitDistance(vec3 p, vec3 dir) {
+        vec3 t = (mix(u_boxMin, u_boxMax, step(0.0, dir)) - p) / dir;
+        return min(min(t.x, t.y), t.z);
+    }
+    
+    // Distance along dir from the camera to the nearest collider, or far
+    float colliderDistance(vec3 dir, float far) {
+        for (int k = 0; k < u_colliderCount; k++) {
+            vec4 shape = texelFetch(u_colliders, ivec2(2 * k, 0), 0);
+            vec3 center = shape.xyz;
+            vec3 extent = texelFetch(u_colliders, ivec2(2 * k + 1, 0), 0).xyz;
+            float enter, leave;
+            if (shape.w > 0.5) {
+                vec3 offset = u_cameraPosition - center;
+                float b = dot(offset, dir);
+                float h = b * b - dot(offset, offset) + extent.x * extent.x;
+                if (h < 0.0) continue;
+                enter = -b - sqrt(h);
+                leave = -b + sqrt(h);
+            } else {
+                vec3 t0 = (center - extent - u_cameraPosition) / dir;
+                vec3 t1 = (center + extent - u_cameraPosition) / dir;
+                vec3 tMin = min(t0, t1);
+                vec3 tMax = max(t0, t1);
+                enter = max(max(tMin.x, tMin.y), tMin.z);
+                leave = min(min(tMax.x, tMax.y), tMax.z);
+            }
+            if (leave >= max(enter, 0.0)) far = min(far, max(enter, 0.0));
+        }
+        return far;
+    }
+    
+    void main() {
+        vec3 dir = normalize(v_world - u_cameraPosition);
+        vec3 t0 = (u_boxMin - u_cameraPosition) / dir;
+        vec3 t1 = (u_boxMax - u_cameraPosition) / dir;
+        vec3 tMin = min(t0, t1);
+        vec3 tMax = max(t0, t1);
+        float near = max(max(tMin.x, tMin.y), max(tMin.z, 0.0));
+        float far = colliderDistance(dir, min(min(tMax.x, tMax.y), tMax.z));
+        if (far <= near) discard;
+        
+        float ds = (far - near) / float(STEPS);
+        float transmittance = 1.0;
+        vec3 color = vec3(0.0);
+        for (int i = 0; i < STEPS; i++) {
+            vec3 p = u_cameraPosition + dir * (near + (float(i) + 0.5) * ds);
+            vec4 smoke = smokeAt(p);
+            float d = smoke.a;
+            if (d < 0.002) continue;
+            
+            vec3 toLight = normalize(u_lightPosition - p);
+            float shadowStep = exitDistance(p, toLight) / float(SHADOW_STEPS);
+            float shadow = 0.0;
+            for (int j = 0; j < SHADOW_STEPS; j++) {
+                shadow += densityAt(p + toLight * (float(j) + 0.5) * shadowStep);
+            }
+            vec3 light = u_lightColor * exp(-u_absorption * shadow * shadowStep) + u_ambient;
+            
+            float alpha = 1.0 - exp(-u_absorption * d * ds);
+            color += transmittance * alpha * (smoke.rgb / d) * light;
+            transmittance *= 1.0 - alpha;
+            if (transmittance < 0.01) break;
+        }
+        outColor = vec4(color, 1.0 - transmittance);
+    }
+`;
 
 // Fluid mode
 let fluidMode = 'streamlines';
 
+// Every update advances one frame of simulated time. Time-dependent fields
+// use these clocks rather than the wall clock, so captures stay smooth.
+const FRAME_DT = 1 / 60;
+let fluidTime = 0;
+let fluidFieldTime = 0;
+let membraneTime = 0;
+const FLUID_REFRESH_INTERVAL = 1 / 3;
+
+// Demo being captured frame by frame; its live loop holds still meanwhile
+let capturingDemo = null;
+
 // ============================================
 // SMOKE SIMULATION
 // ============================================
@@ -97,15 +284,18 @@ function initSmokeSimulation() {
     ground.position.y = 0;
     smokeScene.add(ground);
     
-    // Smoke source (cylinder)
-    const sourceGeometry = new THREE.CylinderGeometry(0.5, 0.5, 0.2, 32);
-    const sourceMaterial = new THREE.MeshPhongMaterial({ color: 0xf97316 });
-    const source = new THREE.Mesh(sourceGeometry, sourceMaterial);
-    source.position.y = 0.1;
-    smokeScene.add(source);
+    // Points the way the wind blows, longer for stronger wind
+    smokeWindArrow = new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 5.5, 0), 1, 0x06b6d4);
+    smokeWindArrow.visible = false;
+    smokeScene.add(smokeWindArrow);
+    
+    smokeSolver = createSmokeSolver();
+    initSmokeEditing();
+    loadSmokePreset('source');
     
     // Initialize smoke particles
     initSmokeParticles();
+    initSmokeVolume(pointLight, ambientLight);
     
     // Setup controls
     setupSmokeControls();
@@ -114,8 +304,235 @@ function initSmokeSimulation() {
     animateSmoke();
 }
 
+function initSmokeEditing() {
+    smokeRaycaster = new THREE.Raycaster();
+    if (THREE.TransformControls) {
+        smokeTransform = new THREE.TransformControls(smokeCamera, smokeRenderer.domElement);
+        smokeTransform.addEventListener('dragging-changed', (e) => {
+            if (smokeControls) smokeControls.enabled = !e.value;
+        });
+        smokeTransform.addEventListener('objectChange', () => syncSmokeMesh(selectedSmokeMesh));
+        smokeScene.add(smokeTransform);
+    } else {
+        console.warn('TransformControls not available, emitters and colliders stay put');
+    }
+    
+    // A click that is not the end of a drag or a gizmo grab selects
+    let down = null;
+    smokeRenderer.domElement.addEventListener('pointerdown', (e) => {
+        down = smokeTransform && smokeTransform.axis !== null ? null : { x: e.clientX, y: e.clientY };
+    });
+    smokeRenderer.domElement.addEventListener('pointerup', (e) => {
+        if (!down || Math.hypot(e.clientX - down.x, e.clientY - down.y) > 4) return;
+        const rect = smokeRenderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((e.clientX - rect.left) / rect.width) * 2 - 1,
+            -((e.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        smokeRaycaster.setFromCamera(pointer, smokeCamera);
+        const hits = smokeRaycaster.intersectObjects([...smokeEmitterMeshes, ...smokeColliderMeshes]);
+        selectSmokeMesh(hits.length > 0 ? hits[0].object : null);
+    });
+}
+
+// Unit sphere or cube meshes, sized by their scale
+function createSmokeMesh(kind, item) {
+    const geometry = kind === 'collider' && item.type === 'box'
+        ? new THREE.BoxGeometry(1, 1, 1)
+        : new THREE.SphereGeometry(1, 24, 16);
+    const material = kind === 'emitter'
+        ? new THREE.MeshPhongMaterial({
+            color: new THREE.Color(...item.color), emissive: 0xf97316, emissiveIntensity: 0.4,
+            transparent: true, opacity: 0.5, depthWrite: false
+        })
+        : new THREE.MeshPhongMaterial({ color: SMOKE_COLLIDER_COLOR });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.userData = { kind, item };
+    mesh.position.set(item.x, item.y, item.z);
+    if (item.size) mesh.scale.fromArray(item.size);
+    else mesh.scale.setScalar(item.radius);
+    smokeScene.add(mesh);
+    return mesh;
+}
+
+// Replace every emitter and collider, here and in the solver
+function buildSmokeScene(emitters, colliders) {
+    selectSmokeMesh(null);
+    [...smokeEmitterMeshes, ...smokeColliderMeshes].forEach(mesh => {
+        smokeScene.remove(mesh);
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+    });
+    smokeEmitterMeshes = emitters.map(emitter => createSmokeMesh('emitter', {
+        ...emitter, color: emitter.color.slice(), velocity: emitter.velocity.slice()
+    }));
+    smokeColliderMeshes = colliders.map(collider => createSmokeMesh('collider', { ...collider }));
+    pushSmokeEmitters();
+    pushSmokeColliders();
+}
+
+function pushSmokeEmitters() {
+    smokeSolver.setEmitters(smokeEmitterMeshes.map(mesh => mesh.userData.item));
+}
+
+function pushSmokeColliders() {
+    smokeSolver.setColliders(smokeColliderMeshes.map(mesh => mesh.userData.item));
+    if (smokeVolume) updateSmokeVolumeColliders();
+}
+
+// Copy a moved or resized mesh back into its item. Balls stay round: the
+// axis dragged furthest from the old radius sets the new one.
+function syncSmokeMesh(mesh) {
+    if (!mesh) return;
+    const { kind, item } = mesh.userData;
+    item.x = mesh.position.x;
+    item.y = mesh.position.y;
+    item.z = mesh.position.z;
+    if (item.size) {
+        item.size = mesh.scale.toArray().map(Math.abs);
+    } else {
+        item.radius = mesh.scale.toArray().map(Math.abs)
+            .reduce((a, b) => Math.abs(b - item.radius) > Math.abs(a - item.radius) ? b : a);
+        mesh.scale.setScalar(item.radius);
+    }
+    if (kind === 'emitter') pushSmokeEmitters();
+    else pushSmokeColliders();
+}
+
+function selectSmokeMesh(mesh) {
+    selectedSmokeMesh = mesh;
+    if (smokeTransform) {
+        if (mesh) smokeTransform.attach(mesh);
+        else smokeTransform.detach();
+    }
+    
+    const emitter = mesh && mesh.userData.kind === 'emitter' ? mesh.userData.item : null;
+    const label = !mesh ? 'Nothing'
+        : emitter ? `Emitter ${smokeEmitterMeshes.indexOf(mesh) + 1}`
+        : `${mesh.userData.item.type === 'box' ? 'Box' : 'Sphere'} ${smokeColliderMeshes.indexOf(mesh) + 1}`;
+    const status = document.getElementById('smoke-selection');
+    if (status) status.textContent = label;
+    
+    // The emitter settings edit the selected emitter only
+    document.querySelectorAll('.smoke-emitter-input').forEach(input => { input.disabled = !emitter; });
+    if (!emitter) return;
+    const set = (id, value, text) => {
+        document.getElementById(id).value = value;
+        if (text !== undefined) document.getElementById(id.replace('-slider', '-val')).textContent = text;
+    };
+    set('emitter-rate-slider', emitter.rate, emitter.rate.toFixed(1));
+    set('emitter-temperature-slider', emitter.temperature, emitter.temperature.toFixed(0));
+    set('emitter-color', `#${new THREE.Color(...emitter.color).getHexString()}`);
+    ['x', 'y', 'z'].forEach((axis, k) => {
+        set(`emitter-velocity-${axis}-slider`, emitter.velocity[k], emitter.velocity[k].toFixed(1));
+    });
+}
+
+// Read the emitter settings into the selected emitter
+function updateSelectedEmitter() {
+    if (!selectedSmokeMesh || selectedSmokeMesh.userData.kind !== 'emitter') return;
+    const emitter = selectedSmokeMesh.userData.item;
+    const value = id => parseFloat(document.getElementById(id).value);
+    emitter.rate = value('emitter-rate-slider');
+    emitter.temperature = value('emitter-temperature-slider');
+    const color = new THREE.Color(document.getElementById('emitter-color').value);
+    emitter.color = color.toArray();
+    emitter.velocity = ['x', 'y', 'z'].map(axis => value(`emitter-velocity-${axis}-slider`));
+    selectedSmokeMesh.material.color.copy(color);
+    
+    document.getElementById('emitter-rate-val').textContent = emitter.rate.toFixed(1);
+    document.getElementById('emitter-temperature-val').textContent = emitter.temperature.toFixed(0);
+    ['x', 'y', 'z'].forEach((axis, k) => {
+        document.getElementById(`emitter-velocity-${axis}-val`).textContent = emitter.velocity[k].toFixed(1);
+    });
+    pushSmokeEmitters();
+}
+
+function addSmokeEmitter() {
+    const mesh = createSmokeMesh('emitter', {
+        ...DEFAULT_EMITTER, x: 1, radius: 0.3, color: DEFAULT_EMITTER.color.slice(), velocity: [0, 0, 0]
+    });
+    smokeEmitterMeshes.push(mesh);
+    pushSmokeEmitters();
+    selectSmokeMesh(mesh);
+}
+
+// 'sphere' or 'box', dropped above and to the side of the default source
+function addSmokeCollider(type) {
+    const item = type === 'box'
+        ? { type, x: -1, y: 1.5, z: 0, size: [1, 0.2, 1] }
+        : { type, x: -1, y: 1.5, z: 0, radius: 0.4 };
+    const mesh = createSmokeMesh('collider', item);
+    smokeColliderMeshes.push(mesh);
+    pushSmokeColliders();
+    selectSmokeMesh(mesh);
+}
+
+function removeSmokeSelection() {
+    const mesh = selectedSmokeMesh;
+    if (!mesh) return;
+    selectSmokeMesh(null);
+    smokeScene.remove(mesh);
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+    if (mesh.userData.kind === 'emitter') {
+        smokeEmitterMeshes = smokeEmitterMeshes.filter(m => m !== mesh);
+        pushSmokeEmitters();
+    } else {
+        smokeColliderMeshes = smokeColliderMeshes.filter(m => m !== mesh);
+        pushSmokeColliders();
+    }
+}
+
+// 'translate' or 'scale'
+function setSmokeGizmoMode(mode) {
+    if (smokeTransform) smokeTransform.setMode(mode);
+}
+
+// Start over from one of SMOKE_PRESETS, wind included
+function loadSmokePreset(name) {
+    const preset = SMOKE_PRESETS[name];
+    smokeSolver.clear();
+    buildSmokeScene(preset.emitters, preset.colliders);
+    for (const [key, value] of Object.entries(preset.wind)) {
+        const slider = document.getElementById(SMOKE_WIND_SLIDERS[key].id);
+        if (!slider) continue;
+        slider.value = value;
+        slider.dispatchEvent(new Event('input'));
+    }
+    if (smokeGeometry) initSmokeParticles();
+}
+
+// Put a particle back on an emitter, picked in proportion to its rate, moving
+// with the fluid there. With no emitters it waits out of sight.
+function spawnSmokeParticle(particle) {
+    const emitters = smokeEmitterMeshes.map(mesh => mesh.userData.item).filter(e => e.rate > 0);
+    const total = emitters.reduce((sum, e) => sum + e.rate, 0);
+    if (total === 0) {
+        particle.life = 0;
+        particle.color = null;
+        return;
+    }
+    let pick = Math.random() * total;
+    const emitter = emitters.find(e => (pick -= e.rate) < 0) || emitters[emitters.length - 1];
+    
+    // A uniform point in the ball
+    do {
+        particle.position.set(Math.random() * 2 - 1, Math.random() * 2 - 1, Math.random() * 2 - 1);
+    } while (particle.position.lengthSq() > 1);
+    particle.position.multiplyScalar(emitter.radius).add(new THREE.Vector3(emitter.x, emitter.y, emitter.z));
+    particle.position.y = Math.max(particle.position.y, 0);
+    particle.color = emitter.color;
+    smokeSolver.sampleVelocity(particle.position.x, particle.position.y, particle.position.z, smokeSample);
+    particle.velocity.fromArray(smokeSample);
+}
+
 function initSmokeParticles() {
     smokeParticles = [];
+    if (smokePointCloud) {
+        smokeScene.remove(smokePointCloud);
+        smokeGeometry.dispose();
+    }
     
     // Create particle geometry
     smokeGeometry = new THREE.BufferGeometry();
@@ -125,19 +542,12 @@ function initSmokeParticles() {
     
     for (let i = 0; i < NUM_SMOKE_PARTICLES; i++) {
         const particle = {
-            position: new THREE.Vector3(
-                (Math.random() - 0.5) * 0.5,
-                0.1,
-                (Math.random() - 0.5) * 0.5
-            ),
-            velocity: new THREE.Vector3(
-                (Math.random() - 0.5) * 0.1,
-                Math.random() * 0.5 + 0.5,
-                (Math.random() - 0.5) * 0.1
-            ),
+            position: new THREE.Vector3(),
+            velocity: new THREE.Vector3(),
             life: Math.random(),
             size: Math.random() * 0.5 + 0.2
         };
+        spawnSmokeParticle(particle);
         
         smokeParticles.push(particle);
         
@@ -168,67 +578,174 @@ function initSmokeParticles() {
     });
     
     smokePointCloud = new THREE.Points(smokeGeometry, smokeMaterial);
+    smokePointCloud.visible = smokeRenderMode === 'points';
     smokeScene.add(smokePointCloud);
 }
 
+function initSmokeVolume(pointLight, ambientLight) {
+    if (!smokeRenderer.capabilities.isWebGL2) {
+        const option = document.querySelector('#smoke-render-mode option[value="volume"]');
+        if (option) {
+            option.disabled = true;
+            option.textContent += ' (needs WebGL2)';
+        }
+        return;
+    }
+    
+    const [nx, ny, nz] = smokeSolver.size;
+    const { origin, cellSize } = smokeSolver.params;
+    const boxMin = new THREE.Vector3(...origin);
+    const boxMax = new THREE.Vector3(nx, ny, nz).multiplyScalar(cellSize).add(boxMin);
+    
+    // Density in alpha and the smoke colour premultiplied by it in rgb, so
+    // filtering blends colours by density. Densities past 1 saturate; 8 bits
+    // keep linear filtering available everywhere.
+    smokeVolumeTexture = new THREE.DataTexture3D(new Uint8Array(nx * ny * nz * 4), nx, ny, nz);
+    smokeVolumeTexture.format = THREE.RGBAFormat;
+    smokeVolumeTexture.minFilter = THREE.LinearFilter;
+    smokeVolumeTexture.magFilter = THREE.LinearFilter;
+    smokeVolumeTexture.unpackAlignment = 1;
+    
+    const material = new THREE.RawShaderMaterial({
+        glslVersion: THREE.GLSL3,
+        vertexShader: smokeVolumeVertexShader,
+        fragmentShader: smokeVolumeFragmentShader,
+        uniforms: {
+            u_density: { value: smokeVolumeTexture },
+            u_boxMin: { value: boxMin },
+            u_boxMax: { value: boxMax },
+            u_cameraPosition: { value: smokeCamera.position },
+            u_lightPosition: { value: pointLight.position },
+            u_lightColor: { value: pointLight.color.clone().multiplyScalar(pointLight.intensity) },
+            u_ambient: { value: ambientLight.color.clone().multiplyScalar(ambientLight.intensity) },
+            u_absorption: { value: SMOKE_ABSORPTION },
+            u_colliders: { value: null },
+            u_colliderCount: { value: 0 }
+        },
+        // Front faces, depth tested, so opaque objects in front of the box
+        // hide the smoke; the march itself stops at the colliders inside it.
+        // updateSmokeVolumeSide switches to back faces inside the box.
+        side: THREE.FrontSide,
+        transparent: true,
+        premultipliedAlpha: true,
+        depthWrite: false
+    });
+    
+    const size = new THREE.Vector3().subVectors(boxMax, boxMin);
+    smokeVolume = new THREE.Mesh(new THREE.BoxGeometry(size.x, size.y - SMOKE_FLOOR_GAP, size.z), material);
+    smokeVolume.position.addVectors(boxMin, boxMax).multiplyScalar(0.5);
+    smokeVolume.position.y += SMOKE_FLOOR_GAP / 2;
+    smokeVolume.visible = false;
+    smokeScene.add(smokeVolume);
+    updateSmokeVolumeColliders();
+}
+
+// The colliders the ray march stops at, two texels each (see the shader).
+// The texture grows as colliders are added.
+function updateSmokeVolumeColliders() {
+    const { uniforms } = smokeVolume.material;
+    const colliders = smokeSolver.getColliders();
+    let texture = uniforms.u_colliders.value;
+    if (!texture || texture.image.width < 2 * colliders.length) {
+        if (texture) texture.dispose();
+        const capacity = Math.max(2 * colliders.length, 8);
+        texture = new THREE.DataTexture(new Float32Array(capacity * 8), capacity * 2, 1, THREE.RGBAFormat, THREE.FloatType);
+        uniforms.u_colliders.value = texture;
+    }
+    colliders.forEach((collider, k) => {
+        const ball = collider.type === 'sphere';
+        texture.image.data.set([collider.x, collider.y, collider.z, ball ? 1 : 0], k * 8);
+        texture.image.data.set(ball
+            ? [collider.radius, 0, 0, 0]
+            : [collider.size[0] / 2, collider.size[1] / 2, collider.size[2] / 2, 0], k * 8 + 4);
+    });
+    texture.needsUpdate = true;
+    uniforms.u_colliderCount.value = colliders.length;
+}
+
+// Inside the box its front faces are behind the camera, so the back faces
+// draw the smoke, untested against depth: whatever lies between them and the
+// camera is inside the box, where the march stops at the colliders
+function updateSmokeVolumeSide() {
+    const { u_boxMin, u_boxMax } = smokeVolume.material.uniforms;
+    const inside = new THREE.Box3(u_boxMin.value, u_boxMax.value).containsPoint(smokeCamera.position);
+    smokeVolume.material.side = inside ? THREE.BackSide : THREE.FrontSide;
+    smokeVolume.material.depthTest = !inside;
+}
+
+function updateSmokeVolume() {
+    const data = smokeVolumeTexture.image.data;
+    const { density, red, green, blue } = smokeSolver.fields;
+    const byte = value => Math.min(Math.max(value, 0), 1) * 255;
+    for (let n = 0; n < density.length; n++) {
+        const d = density[n];
+        const scale = d > 1e-4 ? Math.min(d, 1) / d : 0;
+        data[n * 4] = byte(red[n] * scale);
+        data[n * 4 + 1] = byte(green[n] * scale);
+        data[n * 4 + 2] = byte(blue[n] * scale);
+        data[n * 4 + 3] = byte(d);
+    }
+    smokeVolumeTexture.needsUpdate = true;
+}
+
+// 'points' for the tracer particles, 'volume' for the ray-marched density
+function setSmokeRenderMode(mode) {
+    smokeRenderMode = mode === 'volume' && smokeVolume ? 'volume' : 'points';
+    smokePointCloud.visible = smokeRenderMode === 'points';
+    if (smokeVolume) smokeVolume.visible = smokeRenderMode === 'volume';
+}
+
+// Particles are tracers: each moves with the fluid velocity at its position
+// (midpoint rule) plus a random walk for the diffusion, √(2κΔt) per axis
 function updateSmokeParticles() {
     const positions = smokeGeometry.attributes.position.array;
     const colors = smokeGeometry.attributes.color.array;
     const sizes = smokeGeometry.attributes.size.array;
+    const walk = Math.sqrt(24 * params.smokeDiffusion * FRAME_DT);
     
     for (let i = 0; i < NUM_SMOKE_PARTICLES; i++) {
         const particle = smokeParticles[i];
+        const p = particle.position;
         
         // Update life
         particle.life -= 0.005;
         
-        // Reset if dead
-        if (particle.life <= 0) {
-            particle.position.set(
-                (Math.random() - 0.5) * 0.5,
-                0.1,
-                (Math.random() - 0.5) * 0.5
-            );
-            particle.velocity.set(
-                (Math.random() - 0.5) * 0.1,
-                Math.random() * 0.5 + 0.5,
-                (Math.random() - 0.5) * 0.1
-            );
+        // Reset if dead or carried out of the box
+        if (particle.life <= 0 || !smokeSolver.contains(p.x, p.y, p.z)) {
             particle.life = 1.0;
+            spawnSmokeParticle(particle);
         }
         
-        // Apply buoyancy (upward force)
-        particle.velocity.y += params.buoyancy * 0.01;
-        
-        // Apply vorticity (swirl)
-        const dist = Math.sqrt(particle.position.x * particle.position.x + 
-                              particle.position.z * particle.position.z);
-        if (dist > 0.1) {
-            const angle = Math.atan2(particle.position.z, particle.position.x);
-            particle.velocity.x += params.vorticity * 0.01 * Math.cos(angle + Math.PI / 2);
-            particle.velocity.z += params.vorticity * 0.01 * Math.sin(angle + Math.PI / 2);
-        }
-        
-        // Apply diffusion (random walk)
-        particle.velocity.x += (Math.random() - 0.5) * params.smokeDiffusion;
-        particle.velocity.z += (Math.random() - 0.5) * params.smokeDiffusion;
-        
-        // Damping
-        particle.velocity.multiplyScalar(0.99);
+        smokeSolver.sampleVelocity(p.x, p.y, p.z, smokeSample);
+        smokeSolver.sampleVelocity(
+            p.x + 0.5 * FRAME_DT * smokeSample[0],
+            p.y + 0.5 * FRAME_DT * smokeSample[1],
+            p.z + 0.5 * FRAME_DT * smokeSample[2],
+            smokeSample
+        );
+        particle.velocity.fromArray(smokeSample);
+        const { x, y, z } = p;
+        p.addScaledVector(particle.velocity, FRAME_DT);
         
-        // Update position
-        particle.position.add(particle.velocity.clone().multiplyScalar(0.1));
+        // Uniform steps of variance 1/12 scaled up to 2κΔt
+        p.x += (Math.random() - 0.5) * walk;
+        p.y += (Math.random() - 0.5) * walk;
+        p.z += (Math.random() - 0.5) * walk;
+        p.y = Math.max(p.y, 0);
+        // Tracers stop short of colliders rather than entering them
+        if (smokeSolver.isSolid(p.x, p.y, p.z)) p.set(x, y, z);
         
         // Update buffer
-        positions[i * 3] = particle.position.x;
-        positions[i * 3 + 1] = particle.position.y;
-        positions[i * 3 + 2] = particle.position.z;
+        positions[i * 3] = p.x;
+        positions[i * 3 + 1] = p.y;
+        positions[i * 3 + 2] = p.z;
         
-        // Fade out based on life
-        const alpha = particle.life;
-        colors[i * 3] = alpha * 0.8;
-        colors[i * 3 + 1] = alpha * 0.9;
-        colors[i * 3 + 2] = alpha * 1.0;
+        // Fade out based on life, in the colour of the emitter
+        const alpha = particle.color ? particle.life : 0;
+        const color = particle.color || DEFAULT_EMITTER.color;
+        colors[i * 3] = alpha * color[0];
+        colors[i * 3 + 1] = alpha * color[1];
+        colors[i * 3 + 2] = alpha * color[2];
         
         sizes[i] = particle.size * (0.5 + particle.life * 0.5);
     }
@@ -238,14 +755,31 @@ function updateSmokeParticles() {
     smokeGeometry.attributes.size.needsUpdate = true;
 }
 
+// The sliders set β, ε, κ and the wind directly (see SMOKE_DEFAULTS)
+function stepSmoke() {
+    Object.assign(smokeSolver.params, {
+        buoyancy: params.buoyancy,
+        vorticityConfinement: params.vorticity,
+        diffusion: params.smokeDiffusion
+    });
+    for (const key of Object.keys(SMOKE_WIND_SLIDERS)) smokeSolver.params[key] = params[key];
+    updateSmokeWindArrow();
+    smokeSolver.step(FRAME_DT);
+    updateSmokeParticles();
+    if (smokeControls) smokeControls.update();
+    if (smokeRenderMode === 'volume') {
+        updateSmokeVolume();
+        updateSmokeVolumeSide();
+    }
+    smokeRenderer.render(smokeScene, smokeCamera);
+}
+
 function animateSmoke() {
     requestAnimationFrame(animateSmoke);
     
-    if (!smokeScene) return;
+    if (!smokeScene || capturingDemo === 'smoke') return;
     
-    updateSmokeParticles();
-    if (smokeControls) smokeControls.update();
-    smokeRenderer.render(smokeScene, smokeCamera);
+    stepSmoke();
 }
 
 function setupSmokeControls() {
@@ -273,9 +807,30 @@ function setupSmokeControls() {
             document.getElementById('smoke-diffusion-val').textContent = params.smokeDiffusion.toFixed(2);
         });
     }
+    
+    for (const [key, { id, digits }] of Object.entries(SMOKE_WIND_SLIDERS)) {
+        const slider = document.getElementById(id);
+        if (!slider) continue;
+        slider.addEventListener('input', (e) => {
+            params[key] = parseFloat(e.target.value);
+            document.getElementById(id.replace('-slider', '-val')).textContent = params[key].toFixed(digits);
+        });
+    }
+    
+    document.querySelectorAll('.smoke-emitter-input').forEach(input => {
+        input.addEventListener('input', updateSelectedEmitter);
+    });
+}
+
+function updateSmokeWindArrow() {
+    const angle = params.windDirection * Math.PI / 180;
+    smokeWindArrow.visible = params.windSpeed > 0;
+    smokeWindArrow.setDirection(new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle)));
+    smokeWindArrow.setLength(0.5 + 0.5 * params.windSpeed, 0.3, 0.2);
 }
 
 function resetSmoke() {
+    smokeSolver.clear();
     initSmokeParticles();
 }
 
@@ -344,7 +899,8 @@ function createVectorField() {
     
     const gridSize = 5;
     const spacing = 2;
-    const time = Date.now() * 0.001;
+    const time = fluidTime;
+    fluidFieldTime = fluidTime;
     
     for (let x = -gridSize; x <= gridSize; x += spacing) {
         for (let y = -gridSize; y <= gridSize; y += spacing) {
@@ -382,13 +938,11 @@ function createVectorField() {
     }
 }
 
-function animateFluid() {
-    requestAnimationFrame(animateFluid);
-    
-    if (!fluidScene) return;
+function stepFluid() {
+    fluidTime += FRAME_DT;
     
     // Update vector field periodically
-    if (Math.random() < 0.05) {
+    if (fluidTime - fluidFieldTime >= FLUID_REFRESH_INTERVAL) {
         createVectorField();
     }
     
@@ -396,6 +950,14 @@ function animateFluid() {
     fluidRenderer.render(fluidScene, fluidCamera);
 }
 
+function animateFluid() {
+    requestAnimationFrame(animateFluid);
+    
+    if (!fluidScene || capturingDemo === 'fluid') return;
+    
+    stepFluid();
+}
+
 function setupFluidControls() {
     const viscositySlider = document.getElementById('viscosity-slider');
     const flowSpeedSlider = document.getElementById('flow-speed-slider');
@@ -650,6 +1212,7 @@ function createDroplet() {
     
     interfaceScene.add(droplet);
     droplets.push(droplet);
+    return droplet;
 }
 
 function createSplash(x, z, dropletSize) {
@@ -815,14 +1378,18 @@ function updateInterface() {
     interfaceMesh.geometry.computeVertexNormals();
 }
 
+function stepInterface() {
+    updateInterface();
+    if (interfaceControls) interfaceControls.update();
+    interfaceRenderer.render(interfaceScene, interfaceCamera);
+}
+
 function animateInterface() {
     requestAnimationFrame(animateInterface);
     
-    if (!interfaceScene) return;
+    if (!interfaceScene || capturingDemo === 'interface') return;
     
-    updateInterface();
-    if (interfaceControls) interfaceControls.update();
-    interfaceRenderer.render(interfaceScene, interfaceCamera);
+    stepInterface();
 }
 
 function setupInterfaceControls() {
@@ -979,7 +1546,8 @@ function createMembrane() {
 function updateMembrane() {
     const positions = membraneMesh.geometry.attributes.position.array;
     const segments = Math.sqrt(membraneVertices.length);
-    const time = Date.now() * 0.001;
+    membraneTime += FRAME_DT;
+    const time = membraneTime;
     
     for (let i = 0; i < membraneVertices.length; i++) {
         const vertex = membraneVertices[i];
@@ -1088,14 +1656,18 @@ function onMembraneClick(event) {
     }
 }
 
+function stepMembrane() {
+    updateMembrane();
+    if (membraneControls) membraneControls.update();
+    membraneRenderer.render(membraneScene, membraneCamera);
+}
+
 function animateMembrane() {
     requestAnimationFrame(animateMembrane);
     
-    if (!membraneScene) return;
+    if (!membraneScene || capturingDemo === 'membrane') return;
     
-    updateMembrane();
-    if (membraneControls) membraneControls.update();
-    membraneRenderer.render(membraneScene, membraneCamera);
+    stepMembrane();
 }
 
 function setupMembraneControls() {
@@ -1137,6 +1709,157 @@ let simulationsInitialized = {
     membrane: false
 };
 
+// Snapshots (see js/snapshot-store.js): each demo's moving parts packed into
+// typed arrays, plus its sliders (parameter name -> slider id)
+const SNAPSHOT_SLIDERS = {
+    smoke: {
+        buoyancy: 'buoyancy-slider', vorticity: 'vorticity-slider', smokeDiffusion: 'smoke-diffusion-slider',
+        windSpeed: 'smoke-wind-speed-slider', windDirection: 'smoke-wind-direction-slider',
+        boundaryLayer: 'smoke-boundary-layer-slider', shearExponent: 'smoke-shear-exponent-slider',
+        gustStrength: 'smoke-gust-strength-slider', gustScale: 'smoke-gust-scale-slider'
+    },
+    interface: { tension: 'tension-slider', dropletSize: 'droplet-size-slider', waterDamping: 'water-damping-slider' },
+    membrane: { stiffness: 'stiffness-slider', damping: 'damping-slider', wind: 'wind-slider' }
+};
+
+function checkSnapshotLength(array, expected, what) {
+    if (array.length !== expected) {
+        throw new Error(`Snapshot has ${array.length} ${what} values, expected ${expected}`);
+    }
+}
+
+const SNAPSHOT_HANDLERS = {
+    smoke: {
+        capture: () => {
+            const particles = new Float32Array(smokeParticles.length * 8);
+            smokeParticles.forEach((p, i) => particles.set([
+                p.position.x, p.position.y, p.position.z,
+                p.velocity.x, p.velocity.y, p.velocity.z,
+                p.life, p.size
+            ], i * 8));
+            // Colours of waiting particles (no emitter) are NaN
+            const particleColors = new Float32Array(smokeParticles.length * 3);
+            smokeParticles.forEach((p, i) => particleColors.set(p.color || [NaN, NaN, NaN], i * 3));
+            return { particles, particleColors, fields: smokeSolver.getState() };
+        },
+        restore: ({ particles, particleColors, fields }) => {
+            checkSnapshotLength(particles, smokeParticles.length * 8, 'particle');
+            // Snapshots from before the voxel solver start it from rest, and
+            // ones from before emitters keep the current scene
+            if (fields && fields.emitters) buildSmokeScene(fields.emitters, fields.colliders);
+            if (fields) smokeSolver.setState(fields);
+            else smokeSolver.clear();
+            smokeParticles.forEach((p, i) => {
+                if (particleColors) {
+                    const color = Array.from(particleColors.subarray(i * 3, i * 3 + 3));
+                    p.color = Number.isNaN(color[0]) ? null : color;
+                }
+                const n = i * 8;
+                p.position.set(particles[n], particles[n + 1], particles[n + 2]);
+                p.velocity.set(particles[n + 3], particles[n + 4], particles[n + 5]);
+                p.life = particles[n + 6];
+                p.size = particles[n + 7];
+            });
+        }
+    },
+    
+    // Surface heights and vertical velocities, and the droplets in flight
+    interface: {
+        capture: () => {
+            const surface = new Float32Array(interfaceVertices.length * 2);
+            interfaceVertices.forEach((v, i) => {
+                surface[i * 2] = v.y;
+                surface[i * 2 + 1] = v.vy;
+            });
+            const drops = new Float32Array(droplets.length * 7);
+            droplets.forEach((d, i) => drops.set([
+                d.position.x, d.position.y, d.position.z,
+                d.userData.vx, d.userData.vy, d.userData.vz, d.userData.size
+            ], i * 7));
+            return { surface, droplets: drops };
+        },
+        restore: (state) => {
+            checkSnapshotLength(state.surface, interfaceVertices.length * 2, 'surface');
+            interfaceVertices.forEach((v, i) => {
+                v.y = state.surface[i * 2];
+                v.vy = state.surface[i * 2 + 1];
+            });
+            droplets.forEach(droplet => interfaceScene.remove(droplet));
+            droplets = [];
+            for (let n = 0; n < state.droplets.length; n += 7) {
+                const droplet = createDroplet();
+                const size = state.droplets[n + 6];
+                droplet.geometry.dispose();
+                droplet.geometry = new THREE.SphereGeometry(size, 12, 12);
+                droplet.position.set(state.droplets[n], state.droplets[n + 1], state.droplets[n + 2]);
+                droplet.userData = {
+                    vx: state.droplets[n + 3], vy: state.droplets[n + 4], vz: state.droplets[n + 5], size
+                };
+            }
+        }
+    },
+    
+    membrane: {
+        capture: () => {
+            const surface = new Float32Array(membraneVertices.length * 2);
+            membraneVertices.forEach((v, i) => {
+                surface[i * 2] = v.z;
+                surface[i * 2 + 1] = v.vz;
+            });
+            return { surface, time: membraneTime };
+        },
+        restore: (state) => {
+            checkSnapshotLength(state.surface, membraneVertices.length * 2, 'surface');
+            membraneVertices.forEach((v, i) => {
+                v.z = state.surface[i * 2];
+                v.vz = state.surface[i * 2 + 1];
+            });
+            membraneTime = state.time;
+        }
+    }
+};
+
+window.demoSnapshot = function(simType, action) {
+    const handlers = SNAPSHOT_HANDLERS[simType];
+    const sliders = SNAPSHOT_SLIDERS[simType];
+    runSnapshotAction(simType, action, {
+        capture: () => {
+            const values = {};
+            for (const key of Object.keys(sliders)) values[key] = params[key];
+            return { params: values, ...handlers.capture() };
+        },
+        restore: (state) => {
+            if (!simulationsInitialized[simType]) throw new Error(`Open the ${simType} demo first`);
+            handlers.restore(state);
+            // Let the sliders' own listeners update params and their labels;
+            // older snapshots leave sliders added since alone
+            for (const [key, id] of Object.entries(sliders)) {
+                if (!(key in state.params)) continue;
+                const slider = document.getElementById(id);
+                slider.value = state.params[key];
+                slider.dispatchEvent(new Event('input'));
+            }
+        }
+    });
+};
+
+// Record frames of one demo (see js/capture.js), one update per frame
+const CAPTURE_TARGETS = {
+    smoke: () => smokeRenderer && { canvas: smokeRenderer.domElement, step: stepSmoke },
+    fluid: () => fluidRenderer && { canvas: fluidRenderer.domElement, step: stepFluid },
+    interface: () => interfaceRenderer && { canvas: interfaceRenderer.domElement, step: stepInterface },
+    membrane: () => membraneRenderer && { canvas: membraneRenderer.domElement, step: stepMembrane }
+};
+
+window.captureDemo = function(simType) {
+    const target = CAPTURE_TARGETS[simType]();
+    if (!target || capturingDemo) return;
+    
+    capturingDemo = simType;
+    runCapture(simType, target.canvas, FRAME_DT, () => target.step())
+        .finally(() => { capturingDemo = null; });
+};
+
 // Initialize a specific simulation
 window.initSimulation = function(simType) {
     console.log('Initializing simulation:', simType);
@@ -8,6 +8,7 @@ let fieldType = 'uniform';
 let fieldStrength = 1.0;
 let showParticles = true;
 let showVectors = true;
+let customField = null;
 let canvas;
 let centerX, centerY;
 
@@ -46,52 +47,25 @@ function createParticle() {
 }
 
 // Vector field function - returns velocity at point (x, y)
+// Named fields come from the shared library in vector-fields.js
 function getField(x, y) {
-    // Normalize coordinates around center
-    let nx = (x - centerX) / 100;
-    let ny = (y - centerY) / 100;
-    let vx = 0, vy = 0;
-    
-    switch(fieldType) {
-        case 'uniform':
-            // Constant flow to the right
-            vx = 1;
-            vy = 0.3;
-            break;
-            
-        case 'rotation':
-            // Circular rotation (vortex)
-            // v = (-y, x) rotates counterclockwise
-            vx = -ny;
-            vy = nx;
-            break;
-            
-        case 'source':
-            // Radially outward from center
-            let distSource = sqrt(nx * nx + ny * ny) + 0.1;
-            vx = nx / distSource;
-            vy = ny / distSource;
-            break;
-            
-        case 'sink':
-            // Radially inward to center
-            let distSink = sqrt(nx * nx + ny * ny) + 0.1;
-            vx = -nx / distSink;
-            vy = -ny / distSink;
-            break;
-            
-        case 'saddle':
-            // Saddle point: x outward, y inward
-            vx = nx;
-            vy = -ny;
-            break;
-            
-        case 'shear':
-            // Shear flow: velocity depends on y position
-            vx = ny;
-            vy = 0;
-            break;
+    if (fieldType === 'custom') {
+        return getCustomField(x, y);
     }
+    return evaluateField(fieldType, x, y, centerX, centerY, fieldStrength);
+}
+
+// User-typed component expressions in the same field coordinates
+function getCustomField(x, y) {
+    if (!customField) return { x: 0, y: 0 };
+    
+    const p = toFieldCoords(x, y, centerX, centerY);
+    let vx = customField.fx(p);
+    let vy = customField.fy(p);
+    
+    // Singular points (e.g. 1/x at x = 0) would otherwise poison the particles
+    if (!isFinite(vx)) vx = 0;
+    if (!isFinite(vy)) vy = 0;
     
     return { x: vx * fieldStrength, y: vy * fieldStrength };
 }
@@ -128,7 +102,11 @@ function draw() {
     noStroke();
     textSize(12);
     textAlign(LEFT, TOP);
-    text(`Field: ${fieldType}`, 10, 10);
+    if (fieldType === 'custom' && customField) {
+        text(`Field: (${customField.fx.source}, ${customField.fy.source})`, 10, 10);
+    } else {
+        text(`Field: ${fieldType}`, 10, 10);
+    }
     text(`Strength: ${fieldStrength.toFixed(1)}`, 10, 26);
 }
 
@@ -241,6 +219,35 @@ function windowResized() {
 // Control functions
 function updateFieldType(val) {
     fieldType = val;
+    document.getElementById('custom-field-controls').style.display = 
+        val === 'custom' ? 'block' : 'none';
+    if (val === 'custom' && !customField) {
+        applyCustomField();
+    }
+    initParticles();
+}
+
+// Compile the typed expressions; keep the previous field if either is invalid
+function applyCustomField() {
+    const errorDisplay = document.getElementById('custom-error');
+    let fx, fy;
+    
+    try {
+        fx = compileExpression(document.getElementById('custom-fx').value, ['x', 'y']);
+    } catch (err) {
+        errorDisplay.textContent = `Fx: ${err.message}`;
+        return;
+    }
+    
+    try {
+        fy = compileExpression(document.getElementById('custom-fy').value, ['x', 'y']);
+    } catch (err) {
+        errorDisplay.textContent = `Fy: ${err.message}`;
+        return;
+    }
+    
+    customField = { fx, fy };
+    errorDisplay.textContent = '';
     initParticles();
 }
 
@@ -262,8 +269,13 @@ function resetDemo() {
     fieldStrength = 1.0;
     showParticles = true;
     showVectors = true;
+    customField = null;
     
     document.getElementById('field-type').value = 'uniform';
+    document.getElementById('custom-fx').value = 'sin(y)';
+    document.getElementById('custom-fy').value = 'x*y - 1';
+    document.getElementById('custom-error').textContent = '';
+    document.getElementById('custom-field-controls').style.display = 'none';
     document.getElementById('strength-slider').value = 1;
     document.getElementById('strength-value').textContent = '1.0';
     document.getElementById('show-particles').checked = true;
@@ -46,18 +46,22 @@ function createParticle() {
 
 // Get the vector field at a point, including contributions from sources/sinks
 function getField(x, y) {
-    let vx = 0, vy = 0;
+    let v = getSourceField(x, y);
     
-    // Background field
-    if (bgField === 'uniform') {
-        vx += 1;
-        vy += 0;
-    } else if (bgField === 'shear') {
-        vx += (y - centerY) / 100;
-        vy += 0;
+    // Background field from the shared library
+    if (bgField !== 'none') {
+        let bg = evaluateField(bgField, x, y, centerX, centerY);
+        v.x += bg.x;
+        v.y += bg.y;
     }
     
-    // Add contributions from sources and sinks
+    return v;
+}
+
+// Contributions from the user-placed sources and sinks only
+function getSourceField(x, y) {
+    let vx = 0, vy = 0;
+    
     for (let s of sources) {
         let dx = x - s.x;
         let dy = y - s.y;
@@ -74,19 +78,15 @@ function getField(x, y) {
     return { x: vx, y: vy };
 }
 
-// Calculate divergence at a point numerically
+// Divergence in field units: exact for the background, numerical for the sources
 function getDivergence(x, y) {
-    let h = 5; // Small step for numerical derivative
-    
-    let fx_right = getField(x + h, y);
-    let fx_left = getField(x - h, y);
-    let fy_up = getField(x, y + h);
-    let fy_down = getField(x, y - h);
+    let div = numericalDivergence(getSourceField, x, y);
     
-    let dFx_dx = (fx_right.x - fx_left.x) / (2 * h);
-    let dFy_dy = (fy_up.y - fy_down.y) / (2 * h);
+    if (bgField !== 'none') {
+        div += evaluateDivergence(bgField, x, y, centerX, centerY);
+    }
     
-    return dFx_dx + dFy_dy;
+    return div;
 }
 
 function draw() {
@@ -125,11 +125,11 @@ function drawDivergenceField() {
             // Color based on divergence
             if (div > 0) {
                 // Positive divergence: red
-                let alpha = min(map(div, 0, 0.5, 0, 100), 100);
+                let alpha = min(map(div, 0, 50, 0, 100), 100);
                 fill(239, 68, 68, alpha);
             } else {
                 // Negative divergence: blue
-                let alpha = min(map(-div, 0, 0.5, 0, 100), 100);
+                let alpha = min(map(-div, 0, 50, 0, 100), 100);
                 fill(59, 130, 246, alpha);
             }
             
@@ -152,9 +152,9 @@ function drawVectorField() {
                 let div = getDivergence(x, y);
                 let r, g, b;
                 
-                if (div > 0.01) {
+                if (div > 1) {
                     r = 239; g = 68; b = 68; // Red for source
-                } else if (div < -0.01) {
+                } else if (div < -1) {
                     r = 59; g = 130; b = 246; // Blue for sink
                 } else {
                     r = 6; g = 182; b = 212; // Cyan for neutral
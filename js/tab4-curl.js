@@ -10,6 +10,13 @@ let fieldStrength = 1.0;
 let showPaddles = true;
 let paddleAngles = [];
 let canvas;
+
+// Analytic vs numerical comparison
+let compareMode = false;
+let stepSize = 5;            // Finite-difference step in pixels
+let diffScheme = 'central';  // 'forward', 'central' or 'fourth'
+let maxCurlError = 0;
+let rmsCurlError = 0;
 let centerX, centerY;
 
 const PARTICLE_COUNT = 150;
@@ -57,81 +64,59 @@ function initPaddleAngles() {
 }
 
 // Vector field function
+// Named fields come from the shared library in vector-fields.js
 function getField(x, y) {
-    let nx = (x - centerX) / 100;
-    let ny = (y - centerY) / 100;
+    if (fieldType === 'custom') {
+        return getVortexField(x, y);
+    }
+    return evaluateField(fieldType, x, y, centerX, centerY, fieldStrength);
+}
+
+// Add contributions from user-placed vortices
+function getVortexField(x, y) {
     let vx = 0, vy = 0;
     
-    switch(fieldType) {
-        case 'rotation':
-            // Counterclockwise rotation: F = (-y, x)
-            vx = -ny;
-            vy = nx;
-            break;
-            
-        case 'rotation-cw':
-            // Clockwise rotation: F = (y, -x)
-            vx = ny;
-            vy = -nx;
-            break;
-            
-        case 'shear':
-            // Shear flow: F = (y, 0)
-            vx = ny;
-            vy = 0;
-            break;
-            
-        case 'uniform':
-            // Uniform flow: F = (1, 0)
-            vx = 1;
-            vy = 0;
-            break;
-            
-        case 'vortex':
-            // Point vortex: tangential velocity that decreases with distance
-            let dist = sqrt(nx * nx + ny * ny) + 0.1;
-            vx = -ny / dist;
-            vy = nx / dist;
-            break;
-            
-        case 'custom':
-            // Add contributions from user-placed vortices
-            for (let v of vortices) {
-                let dx = x - v.x;
-                let dy = y - v.y;
-                let d = sqrt(dx * dx + dy * dy) + 20;
-                let strength = v.strength * 2000 / (d * d);
-                strength = min(strength, 3);
-                vx += -dy / d * strength;
-                vy += dx / d * strength;
-            }
-            break;
+    for (let v of vortices) {
+        let dx = x - v.x;
+        let dy = y - v.y;
+        let d = sqrt(dx * dx + dy * dy) + 20;
+        let strength = v.strength * 2000 / (d * d);
+        strength = min(strength, 3);
+        vx += -dy / d * strength;
+        vy += dx / d * strength;
     }
     
     return { x: vx * fieldStrength, y: vy * fieldStrength };
 }
 
-// Calculate curl at a point numerically
+// Curl in field units: exact for named fields, numerical for placed vortices
 function getCurl(x, y) {
-    let h = 5;
-    
-    let fy_right = getField(x + h, y);
-    let fy_left = getField(x - h, y);
-    let fx_up = getField(x, y + h);
-    let fx_down = getField(x, y - h);
-    
-    let dFy_dx = (fy_right.y - fy_left.y) / (2 * h);
-    let dFx_dy = (fx_up.x - fx_down.x) / (2 * h);
-    
-    return dFy_dx - dFx_dy;
+    if (fieldType === 'custom') {
+        return getNumericalCurl(x, y);
+    }
+    return evaluateCurl(fieldType, x, y, centerX, centerY, fieldStrength);
+}
+
+// Finite-difference estimate with the selected step size and scheme
+function getNumericalCurl(x, y) {
+    return numericalCurl(getField, x, y, stepSize, diffScheme);
+}
+
+// Placed vortices have no closed-form curl, so there is nothing to compare against
+function isComparing() {
+    return compareMode && fieldType !== 'custom';
 }
 
 function draw() {
     // Background
     background(17, 24, 39);
     
-    // Draw curl field as colored background
-    drawCurlField();
+    // Draw curl field (or its numerical error) as colored background
+    if (isComparing()) {
+        drawCurlErrorField();
+    } else {
+        drawCurlField();
+    }
     
     // Draw vector field
     drawVectorField();
@@ -157,9 +142,20 @@ function draw() {
     text(`Field: ${fieldType}`, 10, 10);
     
     // Show curl value at mouse
-    if (mouseX > 0 && mouseX < width && mouseY > 0 && mouseY < height) {
+    let onCanvas = mouseX > 0 && mouseX < width && mouseY > 0 && mouseY < height;
+    if (isComparing()) {
+        text(`${diffScheme} difference, h = ${stepSize} px`, 10, 26);
+        text(`Max error: ${maxCurlError.toExponential(2)}   RMS: ${rmsCurlError.toExponential(2)}`, 10, 42);
+        if (onCanvas) {
+            let exact = getCurl(mouseX, mouseY);
+            let approx = getNumericalCurl(mouseX, mouseY);
+            text(`Analytic curl: ${exact.toFixed(4)}`, 10, 62);
+            text(`Numerical curl: ${approx.toFixed(4)}`, 10, 78);
+            text(`Error: ${abs(approx - exact).toExponential(2)}`, 10, 94);
+        }
+    } else if (onCanvas) {
         let curl = getCurl(mouseX, mouseY);
-        text(`Curl at cursor: ${curl.toFixed(3)}`, 10, 26);
+        text(`Curl at cursor: ${curl.toFixed(2)}`, 10, 26);
     }
 }
 
@@ -173,11 +169,11 @@ function drawCurlField() {
             
             if (curl > 0) {
                 // Positive curl (CCW): green
-                let alpha = min(map(curl, 0, 0.05, 0, 80), 80);
+                let alpha = min(map(curl, 0, 5, 0, 80), 80);
                 fill(16, 185, 129, alpha);
             } else {
                 // Negative curl (CW): orange
-                let alpha = min(map(-curl, 0, 0.05, 0, 80), 80);
+                let alpha = min(map(-curl, 0, 5, 0, 80), 80);
                 fill(249, 115, 22, alpha);
             }
             
@@ -186,6 +182,33 @@ function drawCurlField() {
     }
 }
 
+// Heatmap of |numerical - analytic| curl on a log scale (1e-6 to 1)
+function drawCurlErrorField() {
+    noStroke();
+    let cellSize = 25;
+    let sumSq = 0;
+    let count = 0;
+    maxCurlError = 0;
+    
+    for (let x = 0; x < width; x += cellSize) {
+        for (let y = 0; y < height; y += cellSize) {
+            let cx = x + cellSize/2;
+            let cy = y + cellSize/2;
+            let error = abs(getNumericalCurl(cx, cy) - getCurl(cx, cy));
+            
+            maxCurlError = max(maxCurlError, error);
+            sumSq += error * error;
+            count++;
+            
+            let level = constrain(map(Math.log10(error + 1e-12), -6, 0, 0, 1), 0, 1);
+            fill(217, 70, 239, level * 160);
+            rect(x, y, cellSize, cellSize);
+        }
+    }
+    
+    rmsCurlError = count > 0 ? sqrt(sumSq / count) : 0;
+}
+
 function drawVectorField() {
     for (let x = GRID_SPACING/2; x < width; x += GRID_SPACING) {
         for (let y = GRID_SPACING/2; y < height; y += GRID_SPACING) {
@@ -219,20 +242,20 @@ function updateAndDrawPaddles() {
         let curl = getCurl(paddle.x, paddle.y);
         
         // Update paddle angle based on curl (curl determines angular velocity)
-        paddle.angle += curl * 2;
+        paddle.angle += curl * 0.02;
         
         // Draw paddle wheel
-        let size = min(20, max(8, abs(curl) * 500));
+        let size = min(20, max(8, abs(curl) * 5));
         
         push();
         translate(paddle.x, paddle.y);
         rotate(paddle.angle);
         
         // Color based on curl direction
-        if (curl > 0.001) {
+        if (curl > 0.1) {
             stroke(16, 185, 129); // Green for CCW
             fill(16, 185, 129, 100);
-        } else if (curl < -0.001) {
+        } else if (curl < -0.1) {
             stroke(249, 115, 22); // Orange for CW
             fill(249, 115, 22, 100);
         } else {
@@ -344,16 +367,36 @@ function togglePaddles(show) {
     showPaddles = show;
 }
 
+function toggleCompare(show) {
+    compareMode = show;
+}
+
+function updateStepSize(val) {
+    stepSize = parseFloat(val);
+    document.getElementById('step-value').textContent = stepSize;
+}
+
+function updateScheme(scheme) {
+    diffScheme = scheme;
+}
+
 function resetDemo() {
     fieldType = 'rotation';
     fieldStrength = 1.0;
     showPaddles = true;
     vortices = [];
+    compareMode = false;
+    stepSize = 5;
+    diffScheme = 'central';
     
     document.getElementById('field-type').value = 'rotation';
     document.getElementById('strength-slider').value = 1;
     document.getElementById('strength-value').textContent = '1.0';
     document.getElementById('show-paddles').checked = true;
+    document.getElementById('show-compare').checked = false;
+    document.getElementById('step-slider').value = 5;
+    document.getElementById('step-value').textContent = '5';
+    document.getElementById('diff-scheme').value = 'central';
     
     initParticles();
     initPaddleAngles();
@@ -24,41 +24,9 @@ function setup() {
     centerY = height / 2;
 }
 
-// Vector field function
+// Vector field function (shared library in vector-fields.js)
 function getField(x, y) {
-    let nx = (x - centerX) / 100;
-    let ny = (y - centerY) / 100;
-    let vx = 0, vy = 0;
-    
-    switch(fieldType) {
-        case 'uniform':
-            // Constant rightward flow
-            vx = 1;
-            vy = 0;
-            break;
-            
-        case 'radial':
-            // Radially outward from center
-            let dist = sqrt(nx * nx + ny * ny) + 0.1;
-            vx = nx / dist;
-            vy = ny / dist;
-            break;
-            
-        case 'rotation':
-            // Counterclockwise rotation
-            vx = -ny;
-            vy = nx;
-            break;
-            
-        case 'gradient':
-            // Gradient of f(x,y) = x^2 + y^2 (conservative field)
-            // grad f = (2x, 2y)
-            vx = nx;
-            vy = ny;
-            break;
-    }
-    
-    return { x: vx, y: vy };
+    return evaluateField(fieldType, x, y, centerX, centerY);
 }
 
 function draw() {
@@ -198,9 +166,8 @@ function calculateLineIntegral() {
         let midY = (p1.y + p2.y) / 2;
         let v = getField(midX, midY);
         
-        // F · dr = Fx*dx + Fy*dy
-        // Scale down by 100 for nicer numbers
-        lineIntegral += (v.x * dx + v.y * dy) / 100;
+        // F · dr = Fx*dx + Fy*dy, with dr converted from pixels to field units
+        lineIntegral += (v.x * dx + v.y * dy) / FIELD_SCALE;
     }
     
     updateIntegralDisplay();
@@ -45,55 +45,14 @@ function initParticles() {
     }
 }
 
-// Vector field function
+// Vector field function (shared library in vector-fields.js)
 function getField(x, y) {
-    let nx = (x - centerX) / 100;
-    let ny = (y - centerY) / 100;
-    let vx = 0, vy = 0;
-    
-    switch(fieldType) {
-        case 'rotation':
-            // Constant rotation - F = (-y, x)
-            vx = -ny;
-            vy = nx;
-            break;
-            
-        case 'uniform':
-            // Uniform flow - no curl
-            vx = 1;
-            vy = 0.3;
-            break;
-            
-        case 'radial':
-            // Radial outward - no curl (conservative)
-            let dist = sqrt(nx * nx + ny * ny) + 0.1;
-            vx = nx / dist;
-            vy = ny / dist;
-            break;
-            
-        case 'shear':
-            // Shear flow - has negative curl
-            vx = ny;
-            vy = 0;
-            break;
-    }
-    
-    return { x: vx, y: vy };
+    return evaluateField(fieldType, x, y, centerX, centerY);
 }
 
-// Calculate curl at a point
+// Exact curl at a point, in field units
 function getCurl(x, y) {
-    let h = 5;
-    
-    let fy_right = getField(x + h, y);
-    let fy_left = getField(x - h, y);
-    let fx_up = getField(x, y + h);
-    let fx_down = getField(x, y - h);
-    
-    let dFy_dx = (fy_right.y - fy_left.y) / (2 * h);
-    let dFx_dy = (fx_up.x - fx_down.x) / (2 * h);
-    
-    return dFy_dx - dFx_dy;
+    return evaluateCurl(fieldType, x, y, centerX, centerY);
 }
 
 function calculateCirculation() {
@@ -120,8 +79,8 @@ function calculateCirculation() {
         let my = (y1 + y2) / 2;
         let v = getField(mx, my);
         
-        // F · dr
-        circulation += (v.x * dx + v.y * dy) / 100;
+        // F · dr, with dr converted from pixels to field units
+        circulation += (v.x * dx + v.y * dy) / FIELD_SCALE;
     }
     
     // Calculate average curl inside the loop
@@ -143,7 +102,7 @@ function calculateCirculation() {
     
     // Update displays
     document.getElementById('circulation-value').textContent = circulation.toFixed(2);
-    document.getElementById('curl-value').textContent = avgCurl.toFixed(4);
+    document.getElementById('curl-value').textContent = avgCurl.toFixed(2);
     
     // Color based on sign
     let circDisplay = document.getElementById('circulation-value');
@@ -151,8 +110,8 @@ function calculateCirculation() {
     
     circDisplay.style.color = circulation > 0.01 ? '#10b981' : 
                               circulation < -0.01 ? '#ef4444' : '#94a3b8';
-    curlDisplay.style.color = avgCurl > 0.0001 ? '#10b981' : 
-                              avgCurl < -0.0001 ? '#ef4444' : '#94a3b8';
+    curlDisplay.style.color = avgCurl > 0.01 ? '#10b981' : 
+                              avgCurl < -0.01 ? '#ef4444' : '#94a3b8';
 }
 
 function draw() {
@@ -187,11 +146,11 @@ function drawCurlField() {
         for (let y = 0; y < height; y += cellSize) {
             let curl = getCurl(x + cellSize/2, y + cellSize/2);
             
-            if (curl > 0.0001) {
-                let alpha = min(map(curl, 0, 0.02, 0, 40), 40);
+            if (curl > 0.01) {
+                let alpha = min(map(curl, 0, 2, 0, 40), 40);
                 fill(16, 185, 129, alpha);
-            } else if (curl < -0.0001) {
-                let alpha = min(map(-curl, 0, 0.02, 0, 40), 40);
+            } else if (curl < -0.01) {
+                let alpha = min(map(-curl, 0, 2, 0, 40), 40);
                 fill(249, 115, 22, alpha);
             } else {
                 fill(0, 0, 0, 0);
@@ -35,56 +35,14 @@ function setup() {
     calculateIntegrals();
 }
 
-// Vector field function
+// Vector field function (shared library in vector-fields.js)
 function getField(x, y) {
-    let nx = (x - centerX) / 100;
-    let ny = (y - centerY) / 100;
-    let vx = 0, vy = 0;
-    
-    switch(fieldType) {
-        case 'rotation':
-            // F = (-y, x), curl = 2
-            vx = -ny;
-            vy = nx;
-            break;
-            
-        case 'shear':
-            // F = (y, 0), curl = -1
-            vx = ny;
-            vy = 0;
-            break;
-            
-        case 'vortex':
-            // Point vortex - curl concentrated at center
-            let dist = sqrt(nx * nx + ny * ny) + 0.05;
-            let strength = 1 / (dist * dist + 0.1);
-            vx = -ny * strength;
-            vy = nx * strength;
-            break;
-            
-        case 'uniform':
-            // F = (1, 0.5), curl = 0
-            vx = 1;
-            vy = 0.5;
-            break;
-    }
-    
-    return { x: vx, y: vy };
+    return evaluateField(fieldType, x, y, centerX, centerY);
 }
 
-// Calculate curl at a point
+// Exact curl at a point, in field units
 function getCurl(x, y) {
-    let h = 3;
-    
-    let fy_right = getField(x + h, y);
-    let fy_left = getField(x - h, y);
-    let fx_up = getField(x, y + h);
-    let fx_down = getField(x, y - h);
-    
-    let dFy_dx = (fy_right.y - fy_left.y) / (2 * h);
-    let dFx_dy = (fx_up.x - fx_down.x) / (2 * h);
-    
-    return dFy_dx - dFx_dy;
+    return evaluateCurl(fieldType, x, y, centerX, centerY);
 }
 
 function calculateIntegrals() {
@@ -101,7 +59,7 @@ function calculateIntegrals() {
         let y = region.y + region.h;
         
         let v = getField((x1 + x2) / 2, y);
-        boundaryIntegral += v.x * (x2 - x1) / 100;
+        boundaryIntegral += v.x * (x2 - x1) / FIELD_SCALE;
     }
     
     // Right edge (bottom to top)
@@ -113,7 +71,7 @@ function calculateIntegrals() {
         let x = region.x + region.w;
         
         let v = getField(x, (y1 + y2) / 2);
-        boundaryIntegral += v.y * (y2 - y1) / 100;
+        boundaryIntegral += v.y * (y2 - y1) / FIELD_SCALE;
     }
     
     // Top edge (right to left)
@@ -125,7 +83,7 @@ function calculateIntegrals() {
         let y = region.y;
         
         let v = getField((x1 + x2) / 2, y);
-        boundaryIntegral += v.x * (x2 - x1) / 100;
+        boundaryIntegral += v.x * (x2 - x1) / FIELD_SCALE;
     }
     
     // Left edge (top to bottom)
@@ -137,14 +95,14 @@ function calculateIntegrals() {
         let x = region.x;
         
         let v = getField(x, (y1 + y2) / 2);
-        boundaryIntegral += v.y * (y2 - y1) / 100;
+        boundaryIntegral += v.y * (y2 - y1) / FIELD_SCALE;
     }
     
     // Calculate area integral (sum of curl over cells)
     areaIntegral = 0;
     let cellW = region.w / gridResolution;
     let cellH = region.h / gridResolution;
-    let cellArea = (cellW * cellH) / 10000; // Scale factor
+    let cellArea = (cellW * cellH) / (FIELD_SCALE * FIELD_SCALE); // In field units
     
     for (let i = 0; i < gridResolution; i++) {
         for (let j = 0; j < gridResolution; j++) {
@@ -230,12 +188,12 @@ function drawCurlCells() {
             let curl = getCurl(centerX, centerY);
             
             // Color based on curl
-            if (curl > 0.001) {
-                let alpha = min(map(abs(curl), 0, 0.05, 50, 200), 200);
+            if (curl > 0.1) {
+                let alpha = min(map(abs(curl), 0, 5, 50, 200), 200);
                 fill(16, 185, 129, alpha);
                 stroke(16, 185, 129, 100);
-            } else if (curl < -0.001) {
-                let alpha = min(map(abs(curl), 0, 0.05, 50, 200), 200);
+            } else if (curl < -0.1) {
+                let alpha = min(map(abs(curl), 0, 5, 50, 200), 200);
                 fill(249, 115, 22, alpha);
                 stroke(249, 115, 22, 100);
             } else {
@@ -247,7 +205,7 @@ function drawCurlCells() {
             rect(cx, cy, cellW, cellH);
             
             // Draw small rotation indicator
-            if (abs(curl) > 0.005) {
+            if (abs(curl) > 0.5) {
                 noFill();
                 strokeWeight(1.5);
                 let arcRadius = min(cellW, cellH) * 0.25;
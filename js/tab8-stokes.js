@@ -7,9 +7,19 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 
 let scene, camera, renderer, controls;
-let surfaceMesh, boundaryCurve, vectorArrows;
+let surfaceMesh, boundaryCurve, vectorArrows, curlArrows;
 let surfaceType = 'flat';
 let fieldType = 'rotation';
+let boundaryType = 'circle';
+let customBoundary = null;
+let boundaryFrame;
+let customField = null;
+let customCurl = null;
+let showCurlLayer = false;
+
+// Same colours as the 2D curl tab: green where curl·n > 0, orange where it is negative
+const CURL_POSITIVE_COLOR = new THREE.Color(0x10b981);
+const CURL_NEGATIVE_COLOR = new THREE.Color(0xf97316);
 
 function init() {
     const container = document.getElementById('stokes-demo');
@@ -53,6 +63,7 @@ function init() {
     addAxes();
     
     // Create initial surface and boundary
+    updateBoundaryFrame();
     createSurface();
     createBoundary();
     createVectorField();
@@ -95,42 +106,27 @@ function addAxes() {
     scene.add(new THREE.Line(zGeom, zMat));
 }
 
+const BOUNDARY_RADIUS = 1.5;
+
 function createSurface() {
     if (surfaceMesh) {
         scene.remove(surfaceMesh);
     }
     
-    const radius = 1.5;
     const segments = 40;
+    let geometry = createParametricSurface(surfaceType, segments);
     
-    let geometry;
-    
-    switch(surfaceType) {
-        case 'flat':
-            geometry = new THREE.CircleGeometry(radius, segments);
-            geometry.rotateX(-Math.PI / 2); // Lay flat in xz plane
-            break;
-            
-        case 'hemisphere':
-            // Create custom hemisphere geometry
-            geometry = new THREE.SphereGeometry(radius, segments, segments / 2, 0, Math.PI * 2, 0, Math.PI / 2);
-            geometry.rotateX(Math.PI);
-            geometry.translate(0, 0, 0);
-            break;
-            
-        case 'paraboloid':
-            geometry = createParaboloid(radius, segments);
-            break;
-            
-        case 'wavy':
-            geometry = createWavySurface(radius, segments);
-            break;
+    // With the curl layer on, shade each face by its share of the flux
+    if (showCurlLayer) {
+        geometry = geometry.toNonIndexed();
+        shadeFluxDensity(geometry, surfaceType, segments);
     }
     
     const material = new THREE.MeshPhongMaterial({
-        color: 0x06b6d4,
+        color: showCurlLayer ? 0xffffff : 0x06b6d4,
+        vertexColors: showCurlLayer,
         transparent: true,
-        opacity: 0.6,
+        opacity: showCurlLayer ? 0.8 : 0.6,
         side: THREE.DoubleSide,
         wireframe: false
     });
@@ -149,20 +145,148 @@ function createSurface() {
     surfaceMesh.add(wireframe);
 }
 
-function createParaboloid(radius, segments) {
+// Closed boundary curves c(t) for t in [0, 2π]. The circle is traversed
+// from +x towards +z, so the flat disk it bounds is oriented along -y.
+function getBoundaryPoint(type, t) {
+    const radius = BOUNDARY_RADIUS;
+    
+    switch(type) {
+        case 'tilted': {
+            // The circle rotated 30° about the x axis
+            const tilt = Math.PI / 6;
+            return new THREE.Vector3(
+                radius * Math.cos(t),
+                -radius * Math.sin(t) * Math.sin(tilt),
+                radius * Math.sin(t) * Math.cos(tilt)
+            );
+        }
+            
+        case 'ellipse':
+            return new THREE.Vector3(radius * Math.cos(t), 0, 0.6 * radius * Math.sin(t));
+            
+        case 'square': {
+            // Square of half-side 1.2, swept by polar angle
+            const r = 1.2 / Math.max(Math.abs(Math.cos(t)), Math.abs(Math.sin(t)));
+            return new THREE.Vector3(r * Math.cos(t), 0, r * Math.sin(t));
+        }
+            
+        case 'trefoil': {
+            // Three-lobed space curve that rises and falls around the loop
+            const r = radius * (0.8 + 0.3 * Math.cos(3 * t));
+            return new THREE.Vector3(r * Math.cos(t), 0.5 * Math.sin(3 * t), r * Math.sin(t));
+        }
+            
+        case 'custom':
+            if (customBoundary) {
+                const scope = { t: t };
+                return new THREE.Vector3(
+                    customBoundary.x(scope),
+                    customBoundary.y(scope),
+                    customBoundary.z(scope)
+                );
+            }
+            return new THREE.Vector3(radius * Math.cos(t), 0, radius * Math.sin(t));
+            
+        default:
+            return new THREE.Vector3(radius * Math.cos(t), 0, radius * Math.sin(t));
+    }
+}
+
+// Center, oriented unit normal and effective radius of the current boundary,
+// taken from its vector area A = ½∮ c × dc. Spanning surfaces bulge along
+// the normal, so they stay consistent with the boundary orientation.
+function updateBoundaryFrame() {
+    const samples = 400;
+    const center = new THREE.Vector3();
+    const area = new THREE.Vector3();
+    
+    for (let i = 0; i < samples; i++) {
+        center.add(getBoundaryPoint(boundaryType, (i / samples) * Math.PI * 2));
+    }
+    center.divideScalar(samples);
+    
+    for (let i = 0; i < samples; i++) {
+        const c1 = getBoundaryPoint(boundaryType, (i / samples) * Math.PI * 2).sub(center);
+        const c2 = getBoundaryPoint(boundaryType, ((i + 1) / samples) * Math.PI * 2).sub(center);
+        area.add(c1.cross(c2).multiplyScalar(0.5));
+    }
+    
+    const areaSize = area.length();
+    let normal, radius;
+    if (areaSize > 1e-6) {
+        normal = area.clone().divideScalar(areaSize);
+        radius = Math.sqrt(areaSize / Math.PI);
+    } else {
+        // Figure-eight-like curves enclose no net area; fall back to the default frame
+        normal = new THREE.Vector3(0, -1, 0);
+        radius = BOUNDARY_RADIUS;
+    }
+    
+    boundaryFrame = { center, normal, radius };
+}
+
+// Parameterisation of each spanning surface over (u, v): u runs from the
+// center (0) to the boundary curve (1) and v from 0 to 2π along it.
+// Every surface meets the same boundary at u = 1, and ∂P/∂u × ∂P/∂v points
+// along the normal that the boundary's direction of travel implies.
+// For the default circle these are the flat disk, a hemisphere, a
+// paraboloid and a rippled disk; other boundaries get lofted versions.
+function getSurfacePoint(type, u, v) {
+    const { center, normal, radius } = boundaryFrame;
+    const edge = getBoundaryPoint(boundaryType, v).sub(center);
+    
+    // Fraction of the way out to the boundary, and height along the normal
+    let spread = u;
+    let height = 0;
+    
+    switch(type) {
+        case 'hemisphere': {
+            // Dome parameterised by polar angle, so the rim is not singular
+            const phi = u * Math.PI / 2;
+            spread = Math.sin(phi);
+            height = radius * Math.cos(phi);
+            break;
+        }
+            
+        case 'paraboloid':
+            height = 0.3 * radius * radius * (1 - u * u);
+            break;
+            
+        case 'cone':
+            // Straight lines from an apex above the center out to the boundary
+            height = radius * (1 - u);
+            break;
+            
+        case 'wavy':
+            // Ripples that vanish at the center and on the boundary
+            height = -0.2 * Math.sin(3 * v) * Math.sin(Math.PI * u);
+            break;
+    }
+    
+    return center.clone()
+        .addScaledVector(edge, spread)
+        .addScaledVector(normal, height);
+}
+
+// Oriented area element ∂P/∂u × ∂P/∂v at (u, v), by central differences
+function getSurfaceNormal(type, u, v) {
+    const e = 1e-4;
+    const Pu = getSurfacePoint(type, u + e, v).sub(getSurfacePoint(type, u - e, v)).divideScalar(2 * e);
+    const Pv = getSurfacePoint(type, u, v + e).sub(getSurfacePoint(type, u, v - e)).divideScalar(2 * e);
+    return Pu.cross(Pv);
+}
+
+function createParametricSurface(type, segments) {
     const geometry = new THREE.BufferGeometry();
     const vertices = [];
     const indices = [];
     
-    // Create paraboloid z = r^2 where r is distance from center
     for (let i = 0; i <= segments; i++) {
-        const r = (i / segments) * radius;
+        const u = i / segments;
         for (let j = 0; j <= segments; j++) {
-            const theta = (j / segments) * Math.PI * 2;
-            const x = r * Math.cos(theta);
-            const z = r * Math.sin(theta);
-            const y = -r * r * 0.3; // Paraboloid shape (bowl down)
-            vertices.push(x, y, z);
+            const v = (j / segments) * Math.PI * 2;
+            const p = getSurfacePoint(type, u, v);
+            vertices.push(p.x, p.y, p.z);
         }
     }
     
@@ -186,39 +310,83 @@ function createParaboloid(radius, segments) {
     return geometry;
 }
 
-function createWavySurface(radius, segments) {
-    const geometry = new THREE.BufferGeometry();
-    const vertices = [];
-    const indices = [];
+// Colour every face of a non-indexed parametric surface by curl F · n dA at
+// the center of its (u, v) cell, relative to the largest cell on the surface
+function shadeFluxDensity(geometry, type, segments) {
+    const du = 1 / segments;
+    const dv = (Math.PI * 2) / segments;
+    const densities = [];
+    let maxDensity = 0;
+    
+    // Same cell order as the index buffer: two triangles per (u, v) cell
+    for (let i = 0; i < segments; i++) {
+        const u = (i + 0.5) * du;
+        for (let j = 0; j < segments; j++) {
+            const v = (j + 0.5) * dv;
+            const p = getSurfacePoint(type, u, v);
+            const n = getSurfaceNormal(type, u, v);
+            const curl = getCurl(p.x, p.y, p.z);
+            const density = (curl.x * n.x + curl.y * n.y + curl.z * n.z) * du * dv;
+            
+            densities.push(density);
+            maxDensity = Math.max(maxDensity, Math.abs(density));
+        }
+    }
     
-    for (let i = 0; i <= segments; i++) {
-        const r = (i / segments) * radius;
-        for (let j = 0; j <= segments; j++) {
-            const theta = (j / segments) * Math.PI * 2;
-            const x = r * Math.cos(theta);
-            const z = r * Math.sin(theta);
-            const y = 0.2 * Math.sin(3 * theta) * (r / radius); // Wavy
-            vertices.push(x, y, z);
+    const neutral = new THREE.Color(0x1f2937);
+    const colors = [];
+    for (const density of densities) {
+        const t = maxDensity > 0 ? Math.abs(density) / maxDensity : 0;
+        const color = neutral.clone().lerp(density >= 0 ? CURL_POSITIVE_COLOR : CURL_NEGATIVE_COLOR, t);
+        for (let k = 0; k < 6; k++) {
+            colors.push(color.r, color.g, color.b);
         }
     }
     
-    for (let i = 0; i < segments; i++) {
-        for (let j = 0; j < segments; j++) {
-            const a = i * (segments + 1) + j;
-            const b = a + 1;
-            const c = a + (segments + 1);
-            const d = c + 1;
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+}
+
+// Curl F arrows on the selected surface, coloured by the sign of curl · n
+function createCurlArrows() {
+    if (curlArrows) {
+        scene.remove(curlArrows);
+        curlArrows = null;
+    }
+    if (!showCurlLayer) return;
+    
+    curlArrows = new THREE.Group();
+    const numRadial = 4;
+    const numAngular = 12;
+    
+    for (let r = 0; r <= numRadial; r++) {
+        // Stay just inside the rim, where the normal is still well defined
+        const u = Math.max(r / numRadial, 0.02) * 0.98;
+        const numAtRadius = r === 0 ? 1 : numAngular;
+        
+        for (let a = 0; a < numAtRadius; a++) {
+            const v = (a / numAtRadius) * Math.PI * 2;
+            const p = getSurfacePoint(surfaceType, u, v);
+            const n = getSurfaceNormal(surfaceType, u, v);
+            const curl = getCurl(p.x, p.y, p.z);
+            const mag = Math.sqrt(curl.x * curl.x + curl.y * curl.y + curl.z * curl.z);
             
-            indices.push(a, b, c);
-            indices.push(b, d, c);
+            if (mag > 0.01) {
+                const flux = curl.x * n.x + curl.y * n.y + curl.z * n.z;
+                const color = flux >= 0 ? CURL_POSITIVE_COLOR : CURL_NEGATIVE_COLOR;
+                const arrow = new THREE.ArrowHelper(
+                    new THREE.Vector3(curl.x, curl.y, curl.z).normalize(),
+                    p,
+                    Math.min(mag * 0.15, 0.5),
+                    color.getHex(),
+                    0.1,
+                    0.05
+                );
+                curlArrows.add(arrow);
+            }
         }
     }
     
-    geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-    geometry.setIndex(indices);
-    geometry.computeVertexNormals();
-    
-    return geometry;
+    scene.add(curlArrows);
 }
 
 function createBoundary() {
@@ -226,18 +394,12 @@ function createBoundary() {
         scene.remove(boundaryCurve);
     }
     
-    const radius = 1.5;
-    const segments = 100;
+    const segments = 200;
     const points = [];
     
-    // Boundary is always a circle in the xz plane at y=0
     for (let i = 0; i <= segments; i++) {
-        const theta = (i / segments) * Math.PI * 2;
-        points.push(new THREE.Vector3(
-            radius * Math.cos(theta),
-            0,
-            radius * Math.sin(theta)
-        ));
+        const t = (i / segments) * Math.PI * 2;
+        points.push(getBoundaryPoint(boundaryType, t));
     }
     
     const geometry = new THREE.BufferGeometry().setFromPoints(points);
@@ -250,25 +412,26 @@ function createBoundary() {
     scene.add(boundaryCurve);
     
     // Add direction arrows on boundary
-    addBoundaryArrows(radius, segments);
+    addBoundaryArrows(8);
 }
 
-function addBoundaryArrows(radius, numArrows) {
+function addBoundaryArrows(numArrows) {
     const arrowGroup = new THREE.Group();
+    const dt = 1e-3;
     
-    for (let i = 0; i < 8; i++) {
-        const theta = (i / 8) * Math.PI * 2;
-        const x = radius * Math.cos(theta);
-        const z = radius * Math.sin(theta);
+    for (let i = 0; i < numArrows; i++) {
+        const t = (i / numArrows) * Math.PI * 2;
+        const point = getBoundaryPoint(boundaryType, t);
         
-        // Tangent direction (counterclockwise)
-        const tx = -Math.sin(theta);
-        const tz = Math.cos(theta);
+        // Tangent direction (direction of travel)
+        const tangent = getBoundaryPoint(boundaryType, t + dt)
+            .sub(getBoundaryPoint(boundaryType, t - dt))
+            .normalize();
         
         const arrowLength = 0.2;
         const arrowHelper = new THREE.ArrowHelper(
-            new THREE.Vector3(tx, 0, tz),
-            new THREE.Vector3(x, 0, z),
+            tangent,
+            point,
             arrowLength,
             0xa855f7,
             0.1,
@@ -319,31 +482,18 @@ function createPlaneVectors() {
 }
 
 function createSurfaceVectors() {
-    const radius = 1.5;
     const numRadial = 4;
     const numAngular = 12;
     
     for (let r = 0; r <= numRadial; r++) {
-        const rad = (r / numRadial) * radius;
+        const u = r / numRadial;
         const numAtRadius = r === 0 ? 1 : numAngular;
         
         for (let a = 0; a < numAtRadius; a++) {
-            const theta = (a / numAtRadius) * Math.PI * 2;
-            const x = rad * Math.cos(theta);
-            const z = rad * Math.sin(theta);
+            const v = (a / numAtRadius) * Math.PI * 2;
+            const p = getSurfacePoint(surfaceType, u, v);
             
-            // Get y position based on surface type
-            let y = 0;
-            if (surfaceType === 'hemisphere') {
-                const rNorm = rad / radius;
-                y = -Math.sqrt(Math.max(0, 1 - rNorm * rNorm)) * radius;
-            } else if (surfaceType === 'paraboloid') {
-                y = -rad * rad * 0.3;
-            } else if (surfaceType === 'wavy') {
-                y = 0.2 * Math.sin(3 * theta) * (rad / radius);
-            }
-            
-            addVectorArrow(x, y, z, 0x22d3ee, 0.7);
+            addVectorArrow(p.x, p.y, p.z, 0x22d3ee, 0.7);
         }
     }
 }
@@ -407,85 +557,123 @@ function getField(x, y, z) {
             const r = Math.sqrt(x * x + z * z) + 0.1;
             return { x: x / r, y: 0, z: z / r };
             
+        case 'custom':
+            return customField ? evaluateCustom(customField, x, y, z) : { x: 0, y: 0, z: 0 };
+            
         default:
             return { x: 0, y: 0, z: 0 };
     }
 }
 
+// Evaluate compiled x, y, z component expressions at a point
+function evaluateCustom(components, x, y, z) {
+    const scope = { x, y, z };
+    const v = { x: components.x(scope), y: components.y(scope), z: components.z(scope) };
+    
+    // Singular points (e.g. 1/x at x = 0) would otherwise poison the integrals
+    if (!isFinite(v.x)) v.x = 0;
+    if (!isFinite(v.y)) v.y = 0;
+    if (!isFinite(v.z)) v.z = 0;
+    return v;
+}
+
+// Exact curl for typed fields when it could be derived symbolically
 function getCurl(x, y, z) {
+    if (fieldType === 'custom' && customCurl) {
+        return evaluateCustom(customCurl, x, y, z);
+    }
+    return getNumericalCurl(x, y, z);
+}
+
+function getNumericalCurl(x, y, z) {
     const h = 0.01;
     
     // Numerical curl computation
-    const fx1 = getField(x, y, z + h);
-    const fx2 = getField(x, y, z - h);
+    // curl F = (∂Fz/∂y − ∂Fy/∂z, ∂Fx/∂z − ∂Fz/∂x, ∂Fy/∂x − ∂Fx/∂y)
+    const fx1 = getField(x + h, y, z);
+    const fx2 = getField(x - h, y, z);
     const fy1 = getField(x, y + h, z);
     const fy2 = getField(x, y - h, z);
-    const fz1 = getField(x + h, y, z);
-    const fz2 = getField(x - h, y, z);
+    const fz1 = getField(x, y, z + h);
+    const fz2 = getField(x, y, z - h);
     
-    const curlX = (fx1.y - fx2.y) / (2 * h) - (fy1.z - fy2.z) / (2 * h);
-    const curlY = (fy1.x - fy2.x) / (2 * h) - (fz1.y - fz2.y) / (2 * h);
-    const curlZ = (fz1.y - fz2.y) / (2 * h) - (fx1.x - fx2.x) / (2 * h);
+    const curlX = ((fy1.z - fy2.z) - (fz1.y - fz2.y)) / (2 * h);
+    const curlY = ((fz1.x - fz2.x) - (fx1.z - fx2.z)) / (2 * h);
+    const curlZ = ((fx1.y - fx2.y) - (fy1.x - fy2.x)) / (2 * h);
     
     return { x: curlX, y: curlY, z: curlZ };
 }
 
 function calculateIntegrals() {
-    // Calculate boundary integral
-    const radius = 1.5;
-    const numSteps = 100;
+    // Line integral of F around the boundary in full 3D: Σ F(midpoint) · Δc
+    const numSteps = 400;
     let boundaryIntegral = 0;
     
     for (let i = 0; i < numSteps; i++) {
-        const theta1 = (i / numSteps) * Math.PI * 2;
-        const theta2 = ((i + 1) / numSteps) * Math.PI * 2;
-        
-        const x1 = radius * Math.cos(theta1);
-        const z1 = radius * Math.sin(theta1);
-        const x2 = radius * Math.cos(theta2);
-        const z2 = radius * Math.sin(theta2);
-        
-        const dx = x2 - x1;
-        const dz = z2 - z1;
+        const c1 = getBoundaryPoint(boundaryType, (i / numSteps) * Math.PI * 2);
+        const c2 = getBoundaryPoint(boundaryType, ((i + 1) / numSteps) * Math.PI * 2);
+        const mid = c1.clone().add(c2).multiplyScalar(0.5);
+        const dc = c2.sub(c1);
         
-        const mx = (x1 + x2) / 2;
-        const mz = (z1 + z2) / 2;
-        
-        const v = getField(mx, 0, mz);
-        boundaryIntegral += v.x * dx + v.z * dz;
+        const v = getField(mid.x, mid.y, mid.z);
+        boundaryIntegral += v.x * dc.x + v.y * dc.y + v.z * dc.z;
     }
     
-    // Calculate surface integral (approximate)
-    // For simplicity, we integrate over the flat disk (same boundary)
-    let surfaceIntegral = 0;
-    const gridSize = 30;
-    const cellSize = (2 * radius) / gridSize;
-    const cellArea = cellSize * cellSize;
+    // Flux of curl F through the selected surface: midpoint rule over the
+    // (u, v) parameter grid, with dS = (∂P/∂u × ∂P/∂v) du dv
+    const surfaceIntegral = calculateSurfaceFlux(surfaceType, 40, 80);
     
-    for (let i = 0; i < gridSize; i++) {
-        for (let j = 0; j < gridSize; j++) {
-            const x = -radius + (i + 0.5) * cellSize;
-            const z = -radius + (j + 0.5) * cellSize;
+    // Update displays
+    document.getElementById('boundary-3d-value').textContent = boundaryIntegral.toFixed(2);
+    document.getElementById('surface-3d-value').textContent = surfaceIntegral.toFixed(2);
+    
+    const diff = Math.abs(boundaryIntegral - surfaceIntegral);
+    const tolerance = 0.01 * Math.max(1, Math.abs(boundaryIntegral));
+    document.getElementById('stokes-3d-relation').textContent = diff < tolerance ? '=' : '≠';
+    document.getElementById('stokes-3d-difference').textContent = 
+        `Difference: ${diff.toExponential(1)} (${surfaceType} surface, ${boundaryType} boundary)`;
+}
+
+function calculateSurfaceFlux(type, numU, numV) {
+    const du = 1 / numU;
+    const dv = (Math.PI * 2) / numV;
+    let flux = 0;
+    
+    for (let i = 0; i < numU; i++) {
+        const u = (i + 0.5) * du;
+        for (let j = 0; j < numV; j++) {
+            const v = (j + 0.5) * dv;
+            const p = getSurfacePoint(type, u, v);
+            const n = getSurfaceNormal(type, u, v);
+            const curl = getCurl(p.x, p.y, p.z);
             
-            if (x * x + z * z <= radius * radius) {
-                const curl = getCurl(x, 0, z);
-                // For flat surface, normal is (0, 1, 0)
-                surfaceIntegral += curl.y * cellArea;
-            }
+            flux += (curl.x * n.x + curl.y * n.y + curl.z * n.z) * du * dv;
         }
     }
     
-    // Update displays
-    document.getElementById('boundary-3d-value').textContent = boundaryIntegral.toFixed(2);
-    document.getElementById('surface-3d-value').textContent = surfaceIntegral.toFixed(2);
+    return flux;
 }
 
+// Captures turn the camera about the vertical axis, one turn per period
+const TURNTABLE_PERIOD = 12;
+const CAPTURE_DT = 1 / 30;
+let isCapturing = false;
+
 function animate() {
     requestAnimationFrame(animate);
+    if (isCapturing) return;
     controls.update();
     renderer.render(scene, camera);
 }
 
+function turntableStep(dt) {
+    const offset = camera.position.clone().sub(controls.target);
+    offset.applyAxisAngle(new THREE.Vector3(0, 1, 0), 2 * Math.PI * dt / TURNTABLE_PERIOD);
+    camera.position.copy(controls.target).add(offset);
+    camera.lookAt(controls.target);
+    renderer.render(scene, camera);
+}
+
 function onWindowResize() {
     const container = document.getElementById('stokes-demo');
     if (!container) return;
@@ -499,18 +687,153 @@ function onWindowResize() {
 }
 
 // Control functions - expose to global scope for HTML onclick handlers
+window.captureStokes = function() {
+    if (isCapturing) return;
+    isCapturing = true;
+    runCapture('stokes', renderer.domElement, CAPTURE_DT, turntableStep)
+        .finally(() => {
+            isCapturing = false;
+            controls.update();
+        });
+};
+
 window.updateSurface = function(type) {
     surfaceType = type;
     createSurface();
+    createCurlArrows();
+    if (vectorDisplayMode === 'surface') createVectorField();
     calculateIntegrals();
 };
 
+window.updateBoundary = function(type) {
+    document.getElementById('custom-boundary-controls').style.display = 
+        type === 'custom' ? 'block' : 'none';
+    // The custom curve only takes over once it compiles; until then the
+    // previous curve stays selected and the controls show the error
+    if (type === 'custom' && !customBoundary) {
+        window.applyCustomBoundary();
+        if (!customBoundary) document.getElementById('boundary-type').value = boundaryType;
+        return;
+    }
+    boundaryType = type;
+    rebuildBoundary();
+};
+
+// Compile x(t), y(t), z(t) and switch to the curve; keep the previous curve if
+// any is invalid or not closed
+window.applyCustomBoundary = function() {
+    const errorDisplay = document.getElementById('custom-boundary-error');
+    const compiled = {};
+    
+    for (const axis of ['x', 'y', 'z']) {
+        try {
+            compiled[axis] = compileExpression(document.getElementById(`custom-boundary-${axis}`).value, ['t']);
+        } catch (err) {
+            errorDisplay.textContent = `${axis}(t): ${err.message}`;
+            return;
+        }
+    }
+    
+    const start = [compiled.x({ t: 0 }), compiled.y({ t: 0 }), compiled.z({ t: 0 })];
+    const end = [compiled.x({ t: Math.PI * 2 }), compiled.y({ t: Math.PI * 2 }), compiled.z({ t: Math.PI * 2 })];
+    if (!start.concat(end).every(isFinite)) {
+        errorDisplay.textContent = 'Curve is undefined at t = 0 or t = 2π';
+        return;
+    }
+    const gap = Math.hypot(end[0] - start[0], end[1] - start[1], end[2] - start[2]);
+    if (gap > 1e-6) {
+        errorDisplay.textContent = `Curve is not closed: c(2π) − c(0) has length ${gap.toFixed(3)}`;
+        return;
+    }
+    
+    customBoundary = compiled;
+    errorDisplay.textContent = '';
+    boundaryType = 'custom';
+    document.getElementById('boundary-type').value = 'custom';
+    rebuildBoundary();
+};
+
+function rebuildBoundary() {
+    updateBoundaryFrame();
+    createBoundary();
+    createSurface();
+    createCurlArrows();
+    if (vectorDisplayMode === 'surface') createVectorField();
+    calculateIntegrals();
+}
+
+// Both parts of the curl layer depend on the field as well as the surface
+function refreshCurlLayer() {
+    if (!showCurlLayer) return;
+    createSurface();
+    createCurlArrows();
+}
+
 window.updateField = function(type) {
     fieldType = type;
+    document.getElementById('custom-field-controls').style.display = 
+        type === 'custom' ? 'block' : 'none';
+    if (type === 'custom' && !customField) {
+        window.applyCustomField();
+        return;
+    }
     createVectorField();
+    refreshCurlLayer();
     calculateIntegrals();
 };
 
+// Compile Fx, Fy, Fz and differentiate them for the curl; keep the previous
+// field if any component is invalid
+window.applyCustomField = function() {
+    const errorDisplay = document.getElementById('custom-field-error');
+    const curlDisplay = document.getElementById('custom-curl');
+    const compiled = {};
+    
+    for (const axis of ['x', 'y', 'z']) {
+        try {
+            compiled[axis] = compileExpression(document.getElementById(`custom-f${axis}`).value, ['x', 'y', 'z']);
+        } catch (err) {
+            errorDisplay.textContent = `F${axis}: ${err.message}`;
+            return;
+        }
+    }
+    
+    customField = compiled;
+    errorDisplay.textContent = '';
+    
+    // curl F = (∂Fz/∂y − ∂Fy/∂z, ∂Fx/∂z − ∂Fz/∂x, ∂Fy/∂x − ∂Fx/∂y)
+    try {
+        const component = (f, a, g, b) => simplifyExpression({
+            type: 'binary',
+            op: '-',
+            left: differentiateExpression(compiled[f].ast, a),
+            right: differentiateExpression(compiled[g].ast, b)
+        });
+        const curlAst = {
+            x: component('z', 'y', 'y', 'z'),
+            y: component('x', 'z', 'z', 'x'),
+            z: component('y', 'x', 'x', 'y')
+        };
+        
+        customCurl = {};
+        for (const axis of ['x', 'y', 'z']) {
+            const ast = curlAst[axis];
+            customCurl[axis] = (scope) => evaluateExpression(ast, scope);
+        }
+        curlDisplay.textContent = 
+            `curl F = (${formatExpression(curlAst.x)}, ${formatExpression(curlAst.y)}, ${formatExpression(curlAst.z)})`;
+    } catch (err) {
+        customCurl = null;
+        curlDisplay.textContent = `${err.message}; using the numerical curl instead`;
+    }
+    
+    if (fieldType === 'custom') {
+        createVectorField();
+        refreshCurlLayer();
+        calculateIntegrals();
+    }
+};
+
 window.resetCamera = function() {
     camera.position.set(3, 3, 3);
     camera.lookAt(0, 0, 0);
@@ -522,17 +845,32 @@ window.updateVectorDisplay = function(mode) {
     createVectorField();
 };
 
+window.toggleCurlLayer = function(show) {
+    showCurlLayer = show;
+    createSurface();
+    createCurlArrows();
+};
+
 window.resetDemo = function() {
     surfaceType = 'flat';
     fieldType = 'rotation';
+    boundaryType = 'circle';
     vectorDisplayMode = 'volume';
+    showCurlLayer = false;
     
     document.getElementById('surface-type').value = 'flat';
+    document.getElementById('boundary-type').value = 'circle';
+    document.getElementById('custom-boundary-controls').style.display = 'none';
     document.getElementById('field-type').value = 'rotation';
+    document.getElementById('custom-field-controls').style.display = 'none';
     const vectorSelect = document.getElementById('vector-display');
     if (vectorSelect) vectorSelect.value = 'volume';
+    document.getElementById('show-curl').checked = false;
     
+    updateBoundaryFrame();
+    createBoundary();
     createSurface();
+    createCurlArrows();
     createVectorField();
     calculateIntegrals();
     window.resetCamera();
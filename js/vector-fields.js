@@ -0,0 +1,170 @@
+/**
+ * Shared 2D Vector Field Library
+ * Named fields with analytic curl and divergence, used by every 2D tab
+ */
+
+// Canvas pixels per field unit. Field coordinates are measured from the
+// canvas center, so every tab sees the same field at the same place.
+const FIELD_SCALE = 100;
+
+// Core radius that keeps the source, sink and vortex fields finite at the origin
+const FIELD_CORE = 0.1;
+
+// Shared radial profile: for F = (x, y) / (r + c), div F = (r + 2c) / (r + c)^2.
+// The vortex (-y, x) / (r + c) has the same expression as its curl.
+function coreProfile(x, y) {
+    const r = Math.sqrt(x * x + y * y);
+    return (r + 2 * FIELD_CORE) / ((r + FIELD_CORE) * (r + FIELD_CORE));
+}
+
+const VECTOR_FIELDS = {
+    uniform: {
+        // F = (1, 0)
+        field: (x, y) => ({ x: 1, y: 0 }),
+        curl: (x, y) => 0,
+        divergence: (x, y) => 0
+    },
+
+    rotation: {
+        // F = (-y, x), counterclockwise rotation
+        field: (x, y) => ({ x: -y, y: x }),
+        curl: (x, y) => 2,
+        divergence: (x, y) => 0
+    },
+
+    'rotation-cw': {
+        // F = (y, -x), clockwise rotation
+        field: (x, y) => ({ x: y, y: -x }),
+        curl: (x, y) => -2,
+        divergence: (x, y) => 0
+    },
+
+    source: {
+        // F = (x, y) / (r + c), radially outward
+        field: (x, y) => {
+            const r = Math.sqrt(x * x + y * y) + FIELD_CORE;
+            return { x: x / r, y: y / r };
+        },
+        curl: (x, y) => 0,
+        divergence: coreProfile
+    },
+
+    sink: {
+        // F = -(x, y) / (r + c), radially inward
+        field: (x, y) => {
+            const r = Math.sqrt(x * x + y * y) + FIELD_CORE;
+            return { x: -x / r, y: -y / r };
+        },
+        curl: (x, y) => 0,
+        divergence: (x, y) => -coreProfile(x, y)
+    },
+
+    saddle: {
+        // F = (x, -y), outward along x and inward along y
+        field: (x, y) => ({ x: x, y: -y }),
+        curl: (x, y) => 0,
+        divergence: (x, y) => 0
+    },
+
+    shear: {
+        // F = (y, 0), speed depends on y
+        field: (x, y) => ({ x: y, y: 0 }),
+        curl: (x, y) => -1,
+        divergence: (x, y) => 0
+    },
+
+    vortex: {
+        // F = (-y, x) / (r + c), point vortex with a smoothed core
+        field: (x, y) => {
+            const r = Math.sqrt(x * x + y * y) + FIELD_CORE;
+            return { x: -y / r, y: x / r };
+        },
+        curl: coreProfile,
+        divergence: (x, y) => 0
+    },
+
+    gradient: {
+        // F = (x, y) = grad of (x^2 + y^2) / 2, a conservative field
+        field: (x, y) => ({ x: x, y: y }),
+        curl: (x, y) => 0,
+        divergence: (x, y) => 2
+    }
+};
+
+// Canvas pixels -> field coordinates around an origin (usually the canvas center)
+function toFieldCoords(px, py, originX, originY) {
+    return {
+        x: (px - originX) / FIELD_SCALE,
+        y: (py - originY) / FIELD_SCALE
+    };
+}
+
+function evaluateField(type, px, py, originX, originY, strength = 1) {
+    const def = VECTOR_FIELDS[type];
+    if (!def) return { x: 0, y: 0 };
+
+    const p = toFieldCoords(px, py, originX, originY);
+    const v = def.field(p.x, p.y);
+    return { x: v.x * strength, y: v.y * strength };
+}
+
+// Exact curl (z-component) in field units
+function evaluateCurl(type, px, py, originX, originY, strength = 1) {
+    const def = VECTOR_FIELDS[type];
+    if (!def) return 0;
+
+    const p = toFieldCoords(px, py, originX, originY);
+    return def.curl(p.x, p.y) * strength;
+}
+
+// Exact divergence in field units
+function evaluateDivergence(type, px, py, originX, originY, strength = 1) {
+    const def = VECTOR_FIELDS[type];
+    if (!def) return 0;
+
+    const p = toFieldCoords(px, py, originX, originY);
+    return def.divergence(p.x, p.y) * strength;
+}
+
+// Finite-difference schemes for the numerical derivatives. Each entry lists
+// the sample offsets (in steps of h) and their weights; the sum is divided by h.
+const DIFFERENCE_SCHEMES = {
+    forward: { offsets: [0, 1], weights: [-1, 1] },
+    central: { offsets: [-1, 1], weights: [-1 / 2, 1 / 2] },
+    fourth:  { offsets: [-2, -1, 1, 2], weights: [1 / 12, -8 / 12, 8 / 12, -1 / 12] }
+};
+
+// Partial derivatives of a field given in canvas pixels, returned per field unit
+function fieldJacobian(getFieldAt, px, py, h = 5, scheme = 'central') {
+    const { offsets, weights } = DIFFERENCE_SCHEMES[scheme] || DIFFERENCE_SCHEMES.central;
+    const J = { dFx_dx: 0, dFx_dy: 0, dFy_dx: 0, dFy_dy: 0 };
+
+    for (let i = 0; i < offsets.length; i++) {
+        const alongX = getFieldAt(px + offsets[i] * h, py);
+        const alongY = getFieldAt(px, py + offsets[i] * h);
+        J.dFx_dx += weights[i] * alongX.x;
+        J.dFy_dx += weights[i] * alongX.y;
+        J.dFx_dy += weights[i] * alongY.x;
+        J.dFy_dy += weights[i] * alongY.y;
+    }
+
+    const scale = FIELD_SCALE / h;
+    J.dFx_dx *= scale;
+    J.dFx_dy *= scale;
+    J.dFy_dx *= scale;
+    J.dFy_dy *= scale;
+    return J;
+}
+
+// Finite-difference curl for fields without a closed form (user-placed
+// vortices, sources, typed expressions). getFieldAt takes canvas pixels;
+// the step h is in pixels and the result is in field units.
+function numericalCurl(getFieldAt, px, py, h = 5, scheme = 'central') {
+    const J = fieldJacobian(getFieldAt, px, py, h, scheme);
+    return J.dFy_dx - J.dFx_dy;
+}
+
+function numericalDivergence(getFieldAt, px, py, h = 5, scheme = 'central') {
+    const J = fieldJacobian(getFieldAt, px, py, h, scheme);
+    return J.dFx_dx + J.dFy_dy;
+}